@@ -0,0 +1,271 @@
+/**
+ * Routes to manage the datasets that have been loaded, i.e. the operations of
+ * the CLI that don't need access to the files of a dataset.
+ *
+ * All routes require HTTP Basic authentication with the ADMIN_USER and ADMIN_PWD.
+ */
+const Crypto = require('crypto')
+const FS = require('fs')
+const Path = require('path')
+const { Transform } = require('stream')
+const { promisify } = require('util')
+const pipeline = promisify(require('stream').pipeline)
+const BasicAuth = require('basic-auth')
+const BodyParser = require('koa-bodyparser')
+const Router = require('koa-router')
+const Tmp = require('tmp')
+
+const { Dataset } = require('./ddf')
+const Env = require('./env') // the maximum size of uploads is read for each upload, so tests can change it
+const { AdminUser, AdminPassword, MaintenanceMode, MaintenanceRetryAfter } = Env
+const { LoadJob } = require('./jobs')
+const { isArchive } = require('./archives')
+const Log = require('./log')('admin')
+require('./notifications')
+
+function digest (text = '') {
+  return Crypto.createHash('sha256').update(text).digest()
+}
+
+function isAdmin (credential) {
+  if (!credential || !AdminPassword) {
+    return false
+  }
+  // compare digests, which have the same length, in constant time
+  const validName = Crypto.timingSafeEqual(digest(credential.name), digest(AdminUser))
+  const validPassword = Crypto.timingSafeEqual(digest(credential.pass), digest(AdminPassword))
+  return validName && validPassword
+}
+
+const ArchiveTypes = { // the content types of archives that can be uploaded, with their file extensions
+  'application/zip': '.zip',
+  'application/x-tar': '.tar',
+  'application/gzip': '.tar.gz',
+  'application/x-gzip': '.tar.gz'
+}
+
+async function saveUpload (ctx) {
+  /*
+   * Save the (archive in the) body of the request in a temporary file.
+   * Returns the path of the file and a function to remove it.
+   * Throws a 413 HTTP error if the archive is larger than ADMIN_MAX_UPLOAD bytes.
+   */
+  const tooLarge = `The archive should not be larger than ${Env.AdminMaxUpload} bytes`
+  if (ctx.request.length > Env.AdminMaxUpload) {
+    ctx.throw(413, tooLarge)
+  }
+  const extension = ArchiveTypes[ctx.request.type]
+  const tmpFile = Tmp.fileSync({ prefix: 'big-waffle-upload-', postfix: extension, discardDescriptor: true })
+  let received = 0
+  const limiter = new Transform({ // for requests without a Content-Length
+    transform (chunk, encoding, callback) {
+      received += chunk.length
+      callback(received > Env.AdminMaxUpload ? Object.assign(new Error(tooLarge), { status: 413 }) : null, chunk)
+    }
+  })
+  try {
+    await pipeline(ctx.req, limiter, FS.createWriteStream(tmpFile.name))
+  } catch (err) {
+    tmpFile.removeCallback()
+    ctx.throw(err.status || 400, err.status ? err.message : `Could not receive the archive: ${err.message}`)
+  }
+  return { path: tmpFile.name, cleanUp: () => tmpFile.removeCallback() }
+}
+
+function versionList (datasets) {
+  /*
+   * Return the versions as the CLI lists them, i.e. with the default version marked.
+   */
+  return datasets.map(ds => {
+    const rec = { name: ds.name, version: ds.version }
+    if (ds.is__default) rec.default = true
+    return rec
+  })
+}
+
+async function versionsOf (ctx, version) {
+  /*
+   * Return the versions of the dataset of the request, or throw a 404 if there
+   * are none, or if the given version is not one of them.
+   */
+  const name = ctx.params.dataset
+  const versions = await Dataset.all(name)
+  if (versions.length === 0) {
+    ctx.throw(404, `Dataset ${name} does not exist`)
+  }
+  if (version && !['latest', '_ALL_'].includes(version) && !versions.some(ds => ds.version === version)) {
+    ctx.throw(404, `Dataset ${name}.${version} does not exist`)
+  }
+  return versions
+}
+
+async function unlessLoading (ctx, changes) {
+  // Return the result of the (Promise for the) changes, or throw a 409 if the dataset is being loaded
+  try {
+    return await changes
+  } catch (err) {
+    if (err.code === 'DDF_LOAD_IN_PROGRESS') {
+      ctx.throw(409, err.message)
+    }
+    throw err
+  }
+}
+
+function respondWithVersions (ctx, datasets, action) {
+  // the Dataset methods log errors and then return nothing, the routes check the requests before calling these
+  if (!Array.isArray(datasets)) {
+    ctx.throw(500, `Could not ${action}, see the log for details`, { expose: true })
+  }
+  ctx.set('Cache-Control', 'no-store')
+  ctx.body = versionList(datasets)
+}
+
+module.exports.AdminRouter = function (underMaintenance = () => MaintenanceMode) {
+  const admin = new Router({ prefix: '/admin' })
+
+  const refuseUnderMaintenance = async (ctx, next) => {
+    // like the CLI, do not delete versions or change the default versions in maintenance mode
+    if (underMaintenance()) {
+      ctx.set('Retry-After', String(MaintenanceRetryAfter))
+      ctx.set('Cache-Control', 'no-store')
+      ctx.status = 503
+      ctx.body = 'Sorry, the DDF Service is under maintenance, try again later'
+      return
+    }
+    await next()
+  }
+
+  admin.use(async (ctx, next) => {
+    const credential = BasicAuth(ctx.req)
+    if (!isAdmin(credential)) {
+      if (credential) {
+        Log.warn({ req: ctx.request }, `Failed attempt to use the admin API as "${credential.name}"`)
+      }
+      ctx.throw(401, 'Unauthorized', { headers: { 'WWW-Authenticate': 'Basic realm="BigWaffle admin", charset="UTF-8"' } })
+    }
+    ctx.state.admin = credential.name
+    await next()
+  })
+
+  admin.get('/datasets', async (ctx, next) => {
+    respondWithVersions(ctx, await Dataset.all(), 'list datasets')
+  })
+
+  admin.get('/datasets/:dataset([-a-z_0-9]+)', async (ctx, next) => {
+    respondWithVersions(ctx, await versionsOf(ctx), 'list versions')
+  })
+
+  admin.post('/datasets/:dataset([-a-z_0-9]+)/purge', refuseUnderMaintenance, async (ctx, next) => {
+    const { dataset } = ctx.params
+    await versionsOf(ctx)
+    Log.notify(`${ctx.state.admin} is purging old versions of ${dataset}`)
+    respondWithVersions(ctx, await unlessLoading(ctx, Dataset.purge(dataset)), `purge ${dataset}`)
+  })
+
+  admin.post('/datasets/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+|_ALL_)/default', refuseUnderMaintenance, async (ctx, next) => {
+    const { dataset, version } = ctx.params
+    if (version === '_ALL_') {
+      ctx.throw(400, 'Only one version can be the default version')
+    }
+    await versionsOf(ctx, version)
+    Log.notify(`${ctx.state.admin} is making ${dataset}.${version} the default version`)
+    respondWithVersions(ctx, await Dataset.makeDefaultVersion(dataset, version), `make ${dataset}.${version} the default version`)
+  })
+
+  admin.post('/datasets/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)/protect', BodyParser({ enableTypes: ['json'] }), async (ctx, next) => {
+    /*
+     * Protect a version with the password given in the (JSON) body of the request.
+     */
+    const { dataset, version } = ctx.params
+    const password = (ctx.request.body || {}).password
+    if (typeof password !== 'string' || password.length === 0) {
+      ctx.throw(400, 'Request should have a password')
+    }
+    await versionsOf(ctx, version)
+    const ds = await Dataset.open(dataset, version, true)
+    Log.notify(`${ctx.state.admin} is protecting ${ds.name}.${ds.version} with a password`)
+    await ds.protectWith(password)
+    respondWithVersions(ctx, await Dataset.all(dataset), `protect ${dataset}.${version}`)
+  })
+
+  admin.delete('/datasets/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+|_ALL_)', refuseUnderMaintenance, async (ctx, next) => {
+    /*
+     * Delete a version of a dataset, "latest" for the most recent version, or "_ALL_" for all versions.
+     */
+    const { dataset, version } = ctx.params
+    const versions = await versionsOf(ctx, version)
+    if (version === 'latest' && versions[0].is__default) { // see Dataset.remove()
+      ctx.throw(409, `The latest version of ${dataset} is the default version, which won't be deleted`)
+    }
+    Log.notify(`${ctx.state.admin} is deleting ${dataset}.${version}`)
+    respondWithVersions(ctx, await unlessLoading(ctx, Dataset.remove(dataset, version)), `delete ${dataset}.${version}`)
+  })
+
+  admin.post('/datasets/:dataset([-a-z_0-9]+)/load', BodyParser({ enableTypes: ['json'] }), async (ctx, next) => {
+    /*
+     * Start a job to load the DDF package in the directory, or archive, given in the (JSON) body of the request.
+     * The body of the request can also be an archive with the DDF package, then the options are taken from the query string.
+     * The response is the job, which continues when the client disconnects. Use the job id to follow its progress.
+     */
+    const { dataset } = ctx.params
+    const upload = ctx.is(...Object.keys(ArchiveTypes)) ? await saveUpload(ctx) : undefined
+    const params = upload ? ctx.query : ctx.request.body || {}
+    const directory = upload ? upload.path : params.directory
+    if (!upload) {
+      if (typeof directory !== 'string' || !Path.isAbsolute(directory)) {
+        ctx.throw(400, 'Request should have the absolute path of a directory or archive')
+      }
+      if (!FS.existsSync(isArchive(directory) ? directory : Path.join(directory, 'datapackage.json'))) {
+        ctx.throw(400, `${directory} does not contain a DDF package`)
+      }
+    }
+    if (params.version !== undefined && (typeof params.version !== 'string' || !/^[-a-z_0-9]+$/.test(params.version) || params.version === 'latest')) {
+      if (upload) {
+        upload.cleanUp()
+      }
+      ctx.throw(400, `Cannot use "${params.version}" as a version`)
+    }
+    if (upload && params.password !== undefined) { // URLs end up in the logs of proxies
+      upload.cleanUp()
+      ctx.throw(400, 'Give the password in the X-DDF-Password header')
+    }
+    const password = upload ? ctx.get('X-DDF-Password') || undefined : params.password
+    const isTrue = value => value === true || value === 'true'
+    const options = { publish: isTrue(params.publish), password, assetsOnly: isTrue(params.assetsOnly), incremental: isTrue(params.incremental) }
+    let job
+    try {
+      job = await LoadJob.start(dataset, params.version, directory, options, upload && upload.cleanUp)
+    } catch (err) {
+      if (upload) {
+        upload.cleanUp()
+      }
+      if (err.code === 'DDF_LOAD_IN_PROGRESS') {
+        ctx.throw(409, err.message)
+      }
+      if (err.code === 'DDF_RESERVED_NAME') {
+        ctx.throw(400, err.message.trim())
+      }
+      throw err
+    }
+    Log.notify(`${ctx.state.admin} started job ${job.id} to load ${dataset} from ${upload ? 'an uploaded archive' : directory}`)
+    ctx.status = 202
+    ctx.set('Location', `/admin/jobs/${job.id}`)
+    ctx.body = job
+  })
+
+  admin.get('/jobs', async (ctx, next) => {
+    ctx.set('Cache-Control', 'no-store')
+    ctx.body = await LoadJob.recent()
+  })
+
+  admin.get('/jobs/:id([0-9a-f]{16})', async (ctx, next) => {
+    const job = await LoadJob.find(ctx.params.id)
+    if (!job) {
+      ctx.throw(404, `Job ${ctx.params.id} does not exist`)
+    }
+    ctx.set('Cache-Control', 'no-store')
+    ctx.body = job
+  })
+
+  return admin
+}
@@ -0,0 +1,163 @@
+/**
+ * Extract DDF packages from archives, i.e. .zip, .tar, .tar.gz or .tgz files, such as the DDF-CSV
+ * archives that other tools export.
+ *
+ * Archives are extracted into a temporary directory. Archives with entries that would end up outside
+ * of that directory, with links, or without a datapackage.json are rejected.
+ */
+const FS = require('fs')
+const Path = require('path')
+const { pipeline } = require('stream')
+
+const Tar = require('tar')
+const Tmp = require('tmp')
+const Yauzl = require('yauzl')
+
+const { LoadError } = require('./ddf/errors')
+const Log = require('./log')('archives')
+
+const PackageFile = 'datapackage.json'
+const ZipExtensions = ['.zip']
+const TarExtensions = ['.tar', '.tar.gz', '.tgz']
+
+function hasExtension (path, extensions) {
+  const lowerCasePath = path.toLowerCase()
+  return extensions.some(extension => lowerCasePath.endsWith(extension))
+}
+
+function isArchive (path) {
+  return hasExtension(path, [...ZipExtensions, ...TarExtensions])
+}
+
+function safePathOf (archivePath, entryPath) {
+  /*
+   * Return the normalized path of the entry, or throw an error if the entry would be extracted
+   * outside of the target directory.
+   */
+  const normalized = Path.posix.normalize(entryPath.replace(/\\/g, '/'))
+  if (Path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw LoadError.UnsafeArchive(archivePath, entryPath)
+  }
+  return normalized
+}
+
+async function extractTar (archivePath, directory) {
+  /*
+   * Extract the (possibly gzipped) tar archive, and return the paths of all entries.
+   */
+  const entryPaths = []
+  let problem
+  // list the entries first, so that nothing is extracted from an unsafe archive
+  await Tar.t({
+    file: archivePath,
+    onentry: entry => {
+      try {
+        if (['SymbolicLink', 'Link'].includes(entry.type)) {
+          throw LoadError.UnsafeArchive(archivePath, entry.path, 'is a link')
+        }
+        entryPaths.push(safePathOf(archivePath, entry.path))
+      } catch (err) {
+        problem = problem || err
+      }
+    }
+  })
+  if (problem) {
+    throw problem
+  }
+  await Tar.x({ file: archivePath, cwd: directory, strict: true })
+  return entryPaths
+}
+
+function extractZip (archivePath, directory) {
+  /*
+   * Extract the zip archive, one entry after the other, and return the paths of all entries.
+   */
+  return new Promise((resolve, reject) => {
+    Yauzl.open(archivePath, { lazyEntries: true, decodeStrings: false }, (err, zipFile) => {
+      if (err) {
+        return reject(err)
+      }
+      const entryPaths = []
+      const fail = err => {
+        zipFile.close()
+        reject(err)
+      }
+      zipFile.on('error', fail)
+      zipFile.on('end', () => resolve(entryPaths))
+      zipFile.on('entry', entry => {
+        const isUTF8 = (entry.generalPurposeBitFlag & 0x800) !== 0
+        const fileName = entry.fileName.toString(isUTF8 ? 'utf8' : 'latin1')
+        let entryPath
+        try {
+          if (((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000) {
+            throw LoadError.UnsafeArchive(archivePath, fileName, 'is a link')
+          }
+          entryPath = safePathOf(archivePath, fileName)
+        } catch (err) {
+          return fail(err)
+        }
+        entryPaths.push(entryPath)
+        const target = Path.join(directory, entryPath)
+        if (fileName.endsWith('/')) {
+          FS.mkdirSync(target, { recursive: true })
+          return zipFile.readEntry()
+        }
+        FS.mkdirSync(Path.dirname(target), { recursive: true })
+        zipFile.openReadStream(entry, (err, readStream) => {
+          if (err) {
+            return fail(err)
+          }
+          pipeline(readStream, FS.createWriteStream(target), err => {
+            if (err) {
+              return fail(err)
+            }
+            zipFile.readEntry()
+          })
+        })
+      })
+      zipFile.readEntry()
+    })
+  })
+}
+
+function packageDirectoryOf (archivePath, entryPaths) {
+  // Return the (relative) directory of the datapackage.json that is closest to the root of the archive
+  const packageFiles = entryPaths
+    .filter(entryPath => Path.posix.basename(entryPath) === PackageFile)
+    .sort((a, b) => a.split('/').length - b.split('/').length)
+  if (packageFiles.length === 0) {
+    throw LoadError.MissingDataPackage(archivePath)
+  }
+  return Path.posix.dirname(packageFiles[0])
+}
+
+async function extractArchive (archivePath) {
+  /*
+   * Extract the archive into a temporary directory.
+   *
+   * Returns the path of the directory with the datapackage.json, and a function to remove
+   * the temporary directory, which returns a Promise.
+   */
+  const tmpDir = Tmp.dirSync({ prefix: 'big-waffle-archive-', unsafeCleanup: true })
+  const cleanUp = () => new Promise(resolve => {
+    tmpDir.removeCallback(err => {
+      if (err) {
+        Log.warn(err, `Could not remove ${tmpDir.name}`)
+      }
+      resolve()
+    })
+  })
+  try {
+    const entryPaths = hasExtension(archivePath, ZipExtensions)
+      ? await extractZip(archivePath, tmpDir.name)
+      : await extractTar(archivePath, tmpDir.name)
+    const packageDirectory = packageDirectoryOf(archivePath, entryPaths)
+    Log.info(`Extracted ${entryPaths.length} entries of ${archivePath} into ${tmpDir.name}`)
+    return { path: Path.join(tmpDir.name, packageDirectory), cleanUp }
+  } catch (err) {
+    await cleanUp()
+    throw err
+  }
+}
+
+module.exports = { isArchive, extractArchive }
@@ -0,0 +1,98 @@
+/**
+ * In-process cache for the (printed) results of DDF queries.
+ *
+ */
+const Log = require('./log')('cache')
+
+class ResultCache {
+  /*
+   * A least recently used cache of Buffers, bounded by the total size in bytes.
+   *
+   * Each entry is tagged with the dataset name and version that it was
+   * computed for, so that entries can be invalidated when a dataset
+   * (version) is removed.
+   */
+  constructor (maxSize = 0, maxEntrySize = 0) {
+    this.maxSize = maxSize
+    this.maxEntrySize = maxEntrySize || maxSize
+    this.size = 0
+    this._entries = new Map() // a Map iterates in insertion order, so the first entry is the least recently used
+  }
+
+  get enabled () {
+    return this.maxSize > 0
+  }
+
+  get count () {
+    return this._entries.size
+  }
+
+  static keyFor (name, version, ...parts) {
+    // the parts should include the revision of the version, as other processes can load a version again
+    return [name, version, ...parts].join('\n')
+  }
+
+  get (key) {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    // move the entry to the end, i.e. make it the most recently used
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+    return entry
+  }
+
+  set (key, value, { name, version, type } = {}) {
+    /*
+     * Store the value (a Buffer) for the key. Returns true if the value was stored.
+     */
+    const size = value.length
+    if (!this.enabled || size > this.maxEntrySize || size > this.maxSize) {
+      return false
+    }
+    this.delete(key)
+    this._entries.set(key, { value, name, version, type, size })
+    this.size += size
+    for (const [lruKey] of this._entries) {
+      if (this.size <= this.maxSize) {
+        break
+      }
+      this.delete(lruKey)
+    }
+    return true
+  }
+
+  delete (key) {
+    const entry = this._entries.get(key)
+    if (entry) {
+      this._entries.delete(key)
+      this.size -= entry.size
+    }
+  }
+
+  invalidate (name, version) {
+    /*
+     * Remove all entries for the dataset with the given name, and the given version.
+     * If no version is given, all entries for the dataset are removed.
+     */
+    let count = 0
+    for (const [key, entry] of this._entries) {
+      if (entry.name === name && (version === undefined || entry.version === version)) {
+        this.delete(key)
+        count += 1
+      }
+    }
+    if (count > 0) {
+      Log.debug(`Removed ${count} cached results for ${name}${version ? `.${version}` : ''}`)
+    }
+    return count
+  }
+
+  clear () {
+    this._entries.clear()
+    this.size = 0
+  }
+}
+
+module.exports = { ResultCache }
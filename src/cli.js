@@ -1,41 +1,17 @@
 const { resolve } = require('path')
+const Readline = require('readline')
 const { ArgumentParser } = require('argparse')
-const Moment = require('moment')
 
+const { MaintenanceMode } = require('./env')
 const { DB } = require('./maria')
 const { Dataset } = require('./ddf/datasets')
+const { LoadError } = require('./ddf/errors')
+const { exportDataset } = require('./ddf/export')
+const { validatePackage } = require('./ddf/validation')
+const { loadFromGit } = require('./git')
 const Log = require('./log')()
 const Notifications = require('./notifications')
 
-function load (name, version, dirPath, options) {
-  if (version === 'latest') {
-    throw new Error(`Cannot use "latest" as a version`)
-  }
-  return Dataset.open(name, version)
-    .then(async function (ds) {
-      if (options.assetsOnly) {
-        await ds.importAssets(dirPath)
-      } else {
-        if (!ds.isNew && version) {
-          throw new Error(`Dataset ${name}.${version} already exists`)
-        }
-        if (!ds.isNew || !version) {
-          ds.incrementVersion()
-        }
-        if (ds.isNew && options.password) {
-          ds.password = options.password
-        }
-        Log.notify(`Starting to load dataset ${name} from ${dirPath}${version ? `.${version}` : ''}`)
-        const startTime = Moment.utc()
-        await ds.loadFromDirectory(dirPath, options)
-        if (options.onlyParse !== true) {
-          await ds.save(options.publish)
-        }
-        Log.notify(`Loading dataset ${ds.name}.${ds.version} took ${Moment.utc().diff(startTime, 'minutes')} minutes.`)
-      }
-    })
-}
-
 const parser = new ArgumentParser({
   version: '0.1',
   addHelp: true,
@@ -52,6 +28,16 @@ const subparsers = parser.addSubparsers({
   title: 'commands',
   dest: 'command'
 })
+const destructiveCommands = ['delete', 'make-default', 'purge'] // these are refused in maintenance mode, unless forced
+function addForceArgument (cmd) {
+  cmd.addArgument(
+    ['-f', '--force'],
+    {
+      action: 'storeTrue',
+      help: 'Run this command even when BigWaffle is in maintenance mode'
+    }
+  )
+}
 const deleteCmd = subparsers.addParser('delete', {
   help: `Deletes a dataset with all its associated tables`
 })
@@ -67,6 +53,54 @@ deleteCmd.addArgument(
     help: `The version of the dataset that should be deleted. "_ALL_" will delete all versions!`
   }
 )
+addForceArgument(deleteCmd)
+const exportCmd = subparsers.addParser('export', {
+  help: 'Exports a version of a dataset to a directory with a DDF-CSV package, i.e. a datapackage.json with CSV files and assets'
+})
+exportCmd.addArgument(
+  'dataset',
+  {
+    help: 'The name of the dataset'
+  }
+)
+exportCmd.addArgument(
+  'version',
+  {
+    help: 'The version of the dataset that should be exported, can be "latest".'
+  }
+)
+exportCmd.addArgument(
+  'directory',
+  {
+    help: 'Path to the directory for the package, which should not exist yet or be empty'
+  }
+)
+const gcCmd = subparsers.addParser('gc', {
+  help: 'Find tables that do not belong to any version of a dataset, and versions with missing tables. Only lists these, unless --drop is given.'
+})
+gcCmd.addArgument(
+  ['--drop'],
+  {
+    action: 'storeTrue',
+    help: 'Drop the tables that do not belong to any version, after confirmation'
+  }
+)
+gcCmd.addArgument(
+  ['-y', '--yes'],
+  {
+    action: 'storeTrue',
+    help: 'Do not ask for confirmation before dropping tables'
+  }
+)
+gcCmd.addArgument(
+  ['--min-age'], // this will be 'min_age' in the parsed arguments!
+  {
+    type: 'float',
+    defaultValue: 24,
+    help: 'Ignore tables created less than this many hours ago, as these may be part of a load in progress. Defaults to 24'
+  }
+)
+addForceArgument(gcCmd)
 const listCmd = subparsers.addParser('list', {
   help: `List datasets and versions. Give a dataset name to only see the versions of that dataset.`
 })
@@ -87,7 +121,27 @@ loadCmd.addArgument(
   {
     nargs: '?',
     default: '.',
-    help: 'Path to the directory that holds the datapackage.json file'
+    help: 'Path to the directory that holds the datapackage.json file, or to a .zip, .tar or .tar.gz archive with it'
+  }
+)
+loadCmd.addArgument(
+  ['--git'],
+  {
+    help: 'Path to a git repository to load the dataset from, instead of a directory'
+  }
+)
+loadCmd.addArgument(
+  ['--ref'],
+  {
+    defaultValue: 'HEAD',
+    help: 'The branch, tag or commit of the git repository to load. Defaults to HEAD'
+  }
+)
+loadCmd.addArgument(
+  ['--full-hash'], // this will be 'full_hash' in the parsed arguments!
+  {
+    action: 'storeTrue',
+    help: 'Use the full commit hash as version when loading from git, instead of the date and the short hash'
   }
 )
 loadCmd.addArgument(
@@ -110,6 +164,13 @@ loadCmd.addArgument(
     help: 'Does not actually load the data, but parses all data and prints the proposed schema'
   }
 )
+loadCmd.addArgument(
+  ['-i', '--incremental'],
+  {
+    action: 'storeTrue',
+    help: 'Reuse the tables of the most recent version of the dataset for which the input files did not change'
+  }
+)
 loadCmd.addArgument(
   ['-a', '--assets-only'],
   {
@@ -146,6 +207,7 @@ makeDefaultCmd.addArgument(
     help: `The version of the dataset that should be the default, can be 'latest'.`
   }
 )
+addForceArgument(makeDefaultCmd)
 const purgeCmd = subparsers.addParser('purge', {
   help: 'Delete old versions of a dataset. The default (or latest) version, the version preceding that one, and any version newer than that will be retained.'
 })
@@ -155,6 +217,27 @@ purgeCmd.addArgument(
     help: 'The name of the dataset'
   }
 )
+addForceArgument(purgeCmd)
+
+const validateCmd = subparsers.addParser('validate', {
+  help: 'Checks the consistency of a DDF dataset in a directory, without loading it. Prints a JSON report of all issues found'
+})
+validateCmd.addArgument(
+  ['-d', '--directory'],
+  {
+    nargs: '?',
+    default: '.',
+    help: 'Path to the directory that holds the datapackage.json file'
+  }
+)
+validateCmd.addArgument(
+  ['--max-issues'], // this will be 'max_issues' in the parsed arguments!
+  {
+    type: 'int',
+    defaultValue: 1000,
+    help: 'Stop reporting issues after this many. Defaults to 1000'
+  }
+)
 
 async function showList (datasets, named = undefined) {
   if (!Array.isArray(datasets)) {
@@ -170,13 +253,74 @@ async function showList (datasets, named = undefined) {
   }
 }
 
+function megabytes (bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function confirm (question) {
+  const rl = Readline.createInterface({ input: process.stdin, output: process.stdout })
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close()
+      resolve(/^y(es)?$/i.test(answer.trim()))
+    })
+  })
+}
+
+async function collectGarbage (args) {
+  const { orphans, incomplete } = await Dataset.auditTables(args.min_age)
+  for (const version of incomplete) {
+    console.log(`${version.name}.${version.version} is missing tables: ${version.missing.join(', ')}`)
+  }
+  if (incomplete.length > 0) {
+    console.log('Use the delete command to remove these versions.')
+  }
+  if (orphans.length === 0) {
+    console.log('No orphaned tables found.')
+    return
+  }
+  const totalSize = orphans.reduce((total, table) => total + table.size, 0)
+  console.log(`Found ${orphans.length} orphaned tables (${megabytes(totalSize)}):`)
+  for (const table of orphans) {
+    console.log(`  ${table.tableName} (${megabytes(table.size)})`)
+  }
+  if (!args.drop) {
+    console.log('Use --drop to drop these tables.')
+    return
+  }
+  if (args.yes || await confirm(`Drop ${orphans.length} tables?`)) {
+    const dropped = await Dataset.dropTables(orphans.map(table => table.tableName))
+    Log.notify(`Dropped ${dropped.length} orphaned tables (${megabytes(totalSize)})`)
+  }
+}
+
 async function run () {
   const args = parser.parseArgs()
   if (args.logToSlack) {
     Notifications.logToSlack()
   }
+  const isDestructive = destructiveCommands.includes(args.command) || (args.command === 'gc' && args.drop)
+  if (MaintenanceMode && isDestructive && !args.force) {
+    throw new Error(`BigWaffle is in maintenance mode, use --force to ${args.command} anyway`)
+  }
   if (args.command === 'load') {
-    return load(args.dataset, args.version, resolve(args.directory), { assetsOnly: args.assets_only, onlyParse: args.only_parse, publish: args.publish, password: args.password })
+    const options = { assetsOnly: args.assets_only, onlyParse: args.only_parse, publish: args.publish, password: args.password, incremental: args.incremental }
+    if (args.git) {
+      return loadFromGit(args.dataset, args.version, resolve(args.git), args.ref, Object.assign(options, { fullHash: args.full_hash }))
+    }
+    return Dataset.load(args.dataset, args.version, resolve(args.directory), options)
+  } else if (args.command === 'validate') {
+    const report = await validatePackage(resolve(args.directory), args.max_issues)
+    console.log(JSON.stringify(report, null, 2))
+    if (!report.valid) {
+      throw new Error(`Found ${report.issues.length}${report.truncated ? '+' : ''} issues in ${report.directory}`)
+    }
+  } else if (args.command === 'export') {
+    const dataset = await Dataset.open(args.dataset, args.version, true)
+    const summary = await exportDataset(dataset, resolve(args.directory))
+    Log.notify(`Exported ${dataset.name}.${dataset.version} to ${summary.directory}: ${summary.resources} resources, ${summary.translations} translations and ${summary.assets} assets`)
+  } else if (args.command === 'gc') {
+    return collectGarbage(args)
   } else if (args.command === 'delete') {
     return showList(await Dataset.remove(args.dataset, args.version), args.dataset)
   } else if (args.command === 'list') {
@@ -195,7 +339,12 @@ run()
     process.exitCode = 0
   })
   .catch(err => {
-    Log.notify(`Error: ${err.message}`)
+    if (err instanceof LoadError && err.resource) {
+      // the tables of the failed load have been dropped already
+      Log.notify(`Error: failed to load ${err.resource}, because: ${err.reason}`)
+    } else {
+      Log.notify(`Error: ${err.message}`)
+    }
     process.exitCode = 1
   })
   .finally(() => {
@@ -5,6 +5,13 @@ class CloudStore {
   async upload (localPath, remoteName) {
     return Promise.reject(new Error('Should be implemented by subclass'))
   }
+  async download (remoteName, localPath) {
+    return Promise.reject(new Error('Should be implemented by subclass'))
+  }
+  async list (prefix) {
+    // Return the names of all stored references that start with the prefix.
+    return Promise.reject(new Error('Should be implemented by subclass'))
+  }
   async urlFor (reference, secure = false) {
     // Return a fully qualified HTTP URL to the stored reference.
     return Promise.resolve(`//${this.baseDir || ''}/${reference}`)
@@ -23,6 +30,12 @@ class LocalCloudStore extends CloudStore {
   async upload (localPath, remoteName) {
     return Promise.resolve(remoteName)
   }
+  async download (remoteName, localPath) {
+    return Promise.reject(new Error(`${remoteName} is not stored locally`))
+  }
+  async list (prefix) {
+    return Promise.resolve([]) // nothing is actually uploaded
+  }
   async urlFor (reference, secure = false) {
     // Return a fully URL to the stored reference.
     return Promise.resolve(`file://${process.cwd()}/${reference}`)
@@ -50,6 +63,17 @@ class GoogleCloudStore extends CloudStore {
     Log.info(`Succesfully uploaded ${localPath} to ${assetUrl}`)
     return remoteName
   }
+
+  async download (remoteName, localPath) {
+    await this._bucket.file(remoteName).download({ destination: localPath })
+    Log.info(`Succesfully downloaded ${remoteName} to ${localPath}`)
+    return localPath
+  }
+
+  async list (prefix) {
+    const [files] = await this._bucket.getFiles({ prefix })
+    return files.map(file => file.name)
+  }
 }
 
 module.exports = CloudStore[AssetStore]()
@@ -47,7 +47,8 @@ function sqlSafe (value, quoteResultIfNeeded = false) {
 
 function _convertOperand (operand) {
   if (typeof operand === 'string') {
-    return `'${operand}'`
+    // escape quotes and backslashes to ensure that the operand remains one string literal
+    return `'${operand.replace(/[\0'\\]/g, char => char === '\0' ? '\\0' : `\\${char}`)}'`
   } else if (operand === null || operand === undefined) {
     return `NULL`
   } else if (operand === true) {
@@ -55,7 +56,7 @@ function _convertOperand (operand) {
   } else if (operand === false) {
     return `FALSE`
   }
-  return operand
+  return Number(operand)
 }
 
 const Conditions = {
@@ -82,7 +83,57 @@ const Conditions = {
     }
   },
   $in: (col, list) => `${col} IN (${list.map(item => _convertOperand(item)).join(', ')})`,
-  $nin: (col, list) => `${col} NOT IN (${list.map(item => _convertOperand(item)).join(', ')})`
+  $nin: (col, list) => `${col} NOT IN (${list.map(item => _convertOperand(item)).join(', ')})`,
+  $between: (col, range) => `${col} BETWEEN ${_convertOperand(range[0])} AND ${_convertOperand(range[1])}`,
+  $like: (col, pattern) => `${col} LIKE ${_convertOperand(pattern)}`,
+  $regex: (col, pattern) => `${col} REGEXP ${_convertOperand(pattern)}`,
+  $not: (col, conditions) => `NOT (${Object.keys(conditions).map(operator => Conditions[operator](col, conditions[operator])).join(' AND ')})`
+}
+
+function isValidCondition (operator, operand) {
+  /*
+   * Return true if the operator is one of the Conditions, and the operand is acceptable for that operator.
+   */
+  const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value)
+  switch (operator) {
+    case '$eq':
+    case '$ne':
+      return isScalar(operand)
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      return ['string', 'number'].includes(typeof operand)
+    case '$in':
+    case '$nin':
+      return Array.isArray(operand) && operand.length > 0 && operand.every(isScalar)
+    case '$between':
+      return Array.isArray(operand) && operand.length === 2 && operand.every(value => ['string', 'number'].includes(typeof value))
+    case '$like':
+    case '$regex':
+      return typeof operand === 'string'
+    case '$not':
+      return operand !== null && typeof operand === 'object' && Object.keys(operand).length > 0 &&
+        Object.keys(operand).every(op => op !== '$not' && isValidCondition(op, operand[op]))
+    default:
+      return false
+  }
+}
+
+const Aggregates = {
+  // SUM and AVG of integers are DECIMAL, adding a DOUBLE ensures that the results are plain numbers
+  sum: col => `(SUM(${col}) + 0E0)`,
+  avg: col => `(AVG(${col}) + 0E0)`,
+  min: col => `MIN(${col})`,
+  max: col => `MAX(${col})`,
+  count: col => `COUNT(${col})`
+}
+
+const TimeUnits = {
+  // DDF time values are like 2019, 2019q1, 201901 (a month), 2019w01 or 20190101, and so are the groups
+  year: col => `CAST(LEFT(${col}, 4) AS SIGNED)`,
+  quarter: col => `CONCAT(LEFT(${col}, 4), 'q', CEIL(SUBSTRING(REPLACE(${col}, '-', ''), 5, 2) / 3))`,
+  month: col => `CONCAT(LEFT(${col}, 4), SUBSTRING(REPLACE(${col}, '-', ''), 5, 2))`
 }
 
 class RecordProcessor extends Writable {
@@ -91,6 +142,7 @@ class RecordProcessor extends Writable {
     this.table = aTable
     this.processorFunction = processorFunction
     this.processorArgs = args
+    this.processed = 0 // the number of records
   }
 
   _writev (chunks, callback) {
@@ -102,6 +154,7 @@ class RecordProcessor extends Writable {
           promises.push(result)
         }
       }
+      this.processed += chunks.length
       if (promises.length > 0) {
         Promise.all(promises).then(results => callback(null, { processed: chunks.length }))
       } else {
@@ -115,6 +168,7 @@ class RecordProcessor extends Writable {
   _write (record, encoding, callback) {
     try {
       const result = this.processorFunction.call(this.table, record, ...this.processorArgs) // ok to ignore chunk.encoding
+      this.processed += 1
       if (result instanceof Promise) {
         result.then(value => callback(null, { processed: 1 }))
       } else {
@@ -140,12 +194,16 @@ class Collection {
      */
     const clauses = []
     for (const column in filter) {
-      if (['$and', '$or'].includes(column)) { // TODO: add $not and $nor ?
+      if (['$and', '$or', '$nor'].includes(column)) {
         const subClauses = []
         for (const subFilter of filter[column]) {
           subClauses.push(this._sqlForFilter(subFilter, foreignTables, language))
         }
-        clauses.push(`(${subClauses.join(` ${column.slice(1).toUpperCase()}`)})`)
+        if (column === '$nor') {
+          clauses.push(`NOT (${subClauses.join(' OR ')})`)
+        } else {
+          clauses.push(`(${subClauses.join(` ${column.slice(1).toUpperCase()} `)})`)
+        }
       } else {
         let qualifiedColumnName = column.split('.')
         if (qualifiedColumnName.length > 1) {
@@ -158,10 +216,43 @@ class Collection {
           clauses.push(Conditions[operator](qualifiedColumnName, filter[column][operator]))
         }
       }
-      return clauses.join(` AND`)
+      return clauses.join(' AND ')
     }
   }
 
+  _sqlForColumn (column, query, language = undefined) {
+    /*
+     * Return the SQL expression for a column of the query.
+     *
+     * Key columns can be grouped, either on a property of a (joined) entity table
+     * or on a coarser time unit. Value columns can be aggregated.
+     */
+    const group = (query.groups || {})[column]
+    const aggregate = (query.aggregates || {})[column]
+    if (group && group.unit) {
+      return TimeUnits[group.unit](this._qualified(column))
+    } else if (group) {
+      return (group.table || this)._qualified(group.property, language)
+    } else if (aggregate) {
+      return Aggregates[aggregate](this._qualified(column, language))
+    }
+    return this._qualified(column, language)
+  }
+
+  _sqlForGroupBy (query, language = undefined) {
+    /*
+     * Return the GROUP BY clause for an aggregation query, i.e. a query with aggregates.
+     * All columns that are not aggregated are part of the group.
+     */
+    if (!query.aggregates) {
+      return ''
+    }
+    const groupColumns = query.projection.filter(column => query.aggregates[column] === undefined)
+    return groupColumns.length > 0
+      ? `\nGROUP BY ${groupColumns.map(column => this._sqlForColumn(column, query, language)).join(', ')}`
+      : ''
+  }
+
   cleanUp () {
     if (this._connection) {
       this._connection.end()
@@ -169,6 +260,11 @@ class Collection {
     }
   }
 
+  rowCountFor (path) {
+    // the number of records in the CSV file with the given path, when it was last processed
+    return (this._rowCounts || {})[path]
+  }
+
   async getConnection (database) {
     if (database) {
       this._database = database
@@ -328,10 +424,44 @@ class Table extends Collection {
     })
   }
 
+  get columnTypes () {
+    // Return an object that maps column names to SQL types
+    return Object.keys(this._schema).reduce((types, column) => {
+      const sqlType = this._schema[column].sqlType
+      if (sqlType) {
+        types[column] = sqlType
+      }
+      return types
+    }, {})
+  }
+
+  set columnTypes (types) {
+    for (const column in types) {
+      if (!this._schema[column]) {
+        this._schema[column] = {}
+      }
+      this._schema[column].sqlType = types[column]
+    }
+  }
+
+  sqlTypeFor (schemaName, language) {
+    /*
+     * Return the SQL type of the column for the given name, or undefined if the type is not known.
+     */
+    const def = this._schema[this._column(schemaName, language)]
+    if (def && def.virtual) {
+      return this._schema[def.value] ? this._schema[def.value].sqlType : undefined
+    } else if (def && def.sqlType) {
+      return def.sqlType
+    }
+    return language ? this.sqlTypeFor(schemaName) : undefined
+  }
+
   toJSON () {
     const doc = super.toJSON()
     doc.auxillaryColumns = this.auxillaryColumns
     doc.mappedColumns = this.mappedColumns
+    doc.columnTypes = this.columnTypes
     return doc
   }
 
@@ -447,10 +577,15 @@ class Table extends Collection {
     })
   }
 
-  async createIn (database, withIndexes = true) {
+  async createIn (database, withIndexes = true, createdTables = undefined) {
+    /*
+     * Create this table in the database. If a Set is given for createdTables, the name
+     * of each table that is (about to be) created is added to it, so that these can be
+     * dropped if something goes wrong.
+     */
     if (Object.keys(this._schema).length > MaxColumns) {
       const wideTable = WideTable.split(this)
-      await wideTable.createIn(database, withIndexes)
+      await wideTable.createIn(database, withIndexes, createdTables)
       return wideTable
     }
 
@@ -483,12 +618,15 @@ class Table extends Collection {
     Log.debug(sql)
     const conn = await this.getConnection(database)
     try {
+      if (createdTables) {
+        createdTables.add(this.tableName)
+      }
       await conn.query(sql)
     } catch (err) {
       if (['ER_TOO_MANY_FIELDS', 'ER_TOO_BIG_ROWSIZE'].includes(err.code)) {
         // split the table
         const wideTable = WideTable.split(this)
-        await wideTable.createIn(database, withIndexes)
+        await wideTable.createIn(database, withIndexes, createdTables)
         return wideTable
       } else {
         throw err
@@ -497,9 +635,9 @@ class Table extends Collection {
     return this
   }
 
-  sqlFor (query = { language: undefined, projection: [], joins: [], filters: [], sort: [] }) {
+  sqlFor (query = { language: undefined, projection: [], joins: [], filters: [], groups: undefined, aggregates: undefined, sort: [], limit: undefined, offset: undefined }) {
     const language = query.language
-    const columns = this._qualified(query.projection, language).join(', ')
+    const columns = query.projection.map(column => this._sqlForColumn(column, query, language)).join(', ')
     const innerJoin = query.joins && query.joins.length > 0
       ? query.joins.reduce((sql, join) => {
         sql += `\nINNER JOIN \`${join.inner.tableName}\` ON ${this._qualified(join.on)}=${join.inner._qualified(join.innerOn)}`
@@ -511,15 +649,19 @@ class Table extends Collection {
       return tables
     }, {})
     const where = query.filters && query.filters.length > 0
-      ? `\nWHERE ${query.filters.map(filter => this._sqlForFilter(filter, foreignTables, language)).join(' AND')}`
+      ? `\nWHERE ${query.filters.map(filter => this._sqlForFilter(filter, foreignTables, language)).join(' AND ')}`
       : ''
+    const groupBy = this._sqlForGroupBy(query, language)
     const order = query.sort && query.sort.length > 0
       ? `\nORDER BY ${query.sort.map(f => {
         const spec = Object.entries(f)[0] // there should only be one entry
-        return `${this._qualified(spec[0], language)} ${spec[1]}`
-      }).join('AND ')}`
+        return `${this._sqlForColumn(spec[0], query, language)} ${spec[1]}`
+      }).join(', ')}`
       : ''
-    return `SELECT ${columns} FROM \`${this.tableName}\`${innerJoin}${where}${order};`
+    const page = query.limit !== undefined || query.offset !== undefined
+      ? `\nLIMIT ${query.limit !== undefined ? query.limit : '18446744073709551615'} OFFSET ${query.offset || 0}`
+      : ''
+    return `SELECT ${columns} FROM \`${this.tableName}\`${innerJoin}${where}${groupBy}${order}${page};`
   }
 
   _prepareRecord (record, _columnNames = {}, ignoreNullValues = false) {
@@ -679,12 +821,15 @@ END;`
       return this.loadFromCSVFile(path, keyMap, translations, delimiter) // slower, but can handle large cells
     }
     // 1. Create a (temporary) table for the CSV file, using the CONNECT db engine.
-    const tmpTableName = await this.tableForCSVFile(path, keyMap, delimiter = ',')
-    // 2. Copy all records
-    await this.copyValues(columns, tmpTableName)
-    // 3. Delete the temporary table
-    const conn = await this.getConnection()
-    await conn.query(`DROP TABLE \`${tmpTableName}\``)
+    const tmpTableName = await this.tableForCSVFile(path, keyMap, delimiter)
+    try {
+      // 2. Copy all records
+      await this.copyValues(columns, tmpTableName)
+    } finally {
+      // 3. Delete the temporary table, also when the copy failed, as a rollback only drops the tables of the dataset
+      const conn = await this.getConnection()
+      await conn.query(`DROP TABLE IF EXISTS \`${tmpTableName}\``)
+    }
     Log.info(`Finished loading ${path} into ${this.tableName}`)
     return this
   }
@@ -826,7 +971,8 @@ END;`
       try {
         const schemaComputer = new RecordProcessor(table, processingMethod, args, highWatermark)
         schemaComputer.on('finish', () => {
-          Log.info(`Processed ${path} for ${table.name}`)
+          Log.info(`Processed ${schemaComputer.processed} records in ${path} for ${table.name}`)
+          table._rowCounts = Object.assign(table._rowCounts || {}, { [path]: schemaComputer.processed })
           resolve(table)
         })
         schemaComputer.on('error', err => reject(err))
@@ -840,6 +986,7 @@ END;`
         parser.on('error', err => reject(err))
 
         const csvFile = FileSystem.createReadStream(path)
+        csvFile.on('error', err => reject(err)) // e.g. the file does not exist
         Log.info(`Processing ${path} for ${table.name}`)
         Log.debug(`using mapping: ${JSON.stringify(this._columnNames)}`)
         csvFile.pipe(parser).pipe(schemaComputer)
@@ -944,7 +1091,12 @@ class WideTable extends Collection {
     return undefined
   }
 
-  sqlFor (query = { language: undefined, projection: [], joins: [], filters: [], sort: [] }) {
+  sqlTypeFor (schemaName, language) {
+    const table = this.keys.has(schemaName) ? this.tables[0] : this._tableFor(schemaName)
+    return table ? table.sqlTypeFor(schemaName, language) : undefined
+  }
+
+  sqlFor (query = { language: undefined, projection: [], joins: [], filters: [], groups: undefined, aggregates: undefined, sort: [], limit: undefined, offset: undefined }) {
     // if only one value is needed there's no need to join the tables of this wide table
     const values = query.projection.filter(c => this.keys.has(c) === false)
     if (values.length === 1) {
@@ -952,7 +1104,7 @@ class WideTable extends Collection {
     }
 
     const language = query.language
-    const columns = this._qualified(query.projection, language).join(', ')
+    const columns = query.projection.map(column => this._sqlForColumn(column, query, language)).join(', ')
     const innerJoin = query.joins && query.joins.length > 0
       ? query.joins.reduce((sql, join) => {
         sql += `\nINNER JOIN \`${join.inner.tableName}\` ON ${this._qualified(join.on)}=${join.inner._qualified(join.on)}`
@@ -964,13 +1116,17 @@ class WideTable extends Collection {
       return tables
     }, {})
     const where = query.filters && query.filters.length > 0
-      ? `\nWHERE ${query.filters.map(filter => this._sqlForFilter(filter, foreignTables, language)).join(' AND')}`
+      ? `\nWHERE ${query.filters.map(filter => this._sqlForFilter(filter, foreignTables, language)).join(' AND ')}`
       : ''
+    const groupBy = this._sqlForGroupBy(query, language)
     const order = query.sort && query.sort.length > 0
       ? `\nORDER BY ${query.sort.map(f => {
         const spec = Object.entries(f)[0] // there should only be one entry
-        return `${this._qualified(spec[0], language)} ${spec[1]}`
-      }).join('AND ')}`
+        return `${this._sqlForColumn(spec[0], query, language)} ${spec[1]}`
+      }).join(', ')}`
+      : ''
+    const page = query.limit !== undefined || query.offset !== undefined
+      ? `\nLIMIT ${query.limit !== undefined ? query.limit : '18446744073709551615'} OFFSET ${query.offset || 0}`
       : ''
     const jointTable = this.tables.slice(1).reduce((jSQL, table) => {
       const onSQL = Array.from(this.keys).map(keyCol => {
@@ -978,14 +1134,14 @@ class WideTable extends Collection {
       }).join(' AND ')
       return `${jSQL}\n  JOIN \`${table.tableName}\` ON ${onSQL}`
     }, `\`${this.tables[0].tableName}\``)
-    return `SELECT ${columns} FROM ${jointTable}${innerJoin}${where}${order};`
+    return `SELECT ${columns} FROM ${jointTable}${innerJoin}${where}${groupBy}${order}${page};`
   }
 
-  async createIn (database, withIndexes = true) {
+  async createIn (database, withIndexes = true, createdTables = undefined) {
     if (database) {
       this._database = database
     }
-    this.tables = await Promise.all(this.tables.map(table => table.createIn(database, withIndexes)))
+    this.tables = await Promise.all(this.tables.map(table => table.createIn(database, withIndexes, createdTables)))
     return this
   }
 
@@ -996,12 +1152,15 @@ class WideTable extends Collection {
      * in the CSV file.
      */
     const tmpTableName = await this.tableForCSVFile(path, keyMap, delimiter)
-    await Promise.all(this.tables.map(async table => {
-      await table.copyValues(columns, tmpTableName)
-      Log.info(`Finished loading ${path} into ${table.tableName}`)
-    }))
-    const conn = await this.getConnection()
-    await conn.query(`DROP TABLE \`${tmpTableName}\``)
+    try {
+      await Promise.all(this.tables.map(async table => {
+        await table.copyValues(columns, tmpTableName)
+        Log.info(`Finished loading ${path} into ${table.tableName}`)
+      }))
+    } finally {
+      const conn = await this.getConnection()
+      await conn.query(`DROP TABLE IF EXISTS \`${tmpTableName}\``)
+    }
   }
 
   cleanUp () {
@@ -1091,6 +1250,9 @@ class WideTable extends Collection {
 WideTable.Suffixes = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J']
 
 Object.assign(exports, {
+  Aggregates,
   Table,
+  TimeUnits,
+  isValidCondition,
   setWideTableThreshold: Table.setWideTableThreshold // used in testing
 })
@@ -1,16 +1,62 @@
 const assert = require('assert')
 const Crypto = require('crypto')
+const EventEmitter = require('events')
 const FS = require('fs').promises
+const { createReadStream } = require('fs')
 const JSONFile = require('jsonfile')
 const Moment = require('moment')
 
-const { DB } = require('../maria')
-const { Table } = require('../collections')
-const { QueryError, QuerySyntaxError, SchemaError } = require('./errors')
+const Env = require('../env')
+const { DB, killQuery } = require('../maria')
+const { Table, TimeUnits, isValidCondition } = require('../collections')
+const { LoadError, QueryError, QuerySyntaxError, SchemaError } = require('./errors')
 const { ArrayStream } = require('./queries')
 const CloudStore = require('../cloud-storage')
+const { isArchive, extractArchive } = require('../archives')
 
 const Log = require('../log')('datasets')
+const MainLog = require('../log')() // notifications, e.g. to Slack, are sent from the main log
+require('../notifications') // adds the "notify" level to the logs
+
+const ServiceTables = ['datasets', 'load_jobs'] // tables in the DB that do not belong to a dataset
+const ReservedNames = ['healthz', 'readyz', 'status', 'metrics', 'ddf-service-directory'] // routes of the service, see service.js
+const TimeConcepts = ['time', 'year', 'quarter', 'month', 'week', 'day']
+const TimeGroups = { // the units of TimeUnits that the values of each time concept can be grouped on
+  time: ['year'], // the values of time can have any unit, but all have a year
+  year: ['year'],
+  quarter: ['year'],
+  month: ['year', 'quarter', 'month'],
+  week: ['year'],
+  day: ['year', 'quarter', 'month']
+}
+
+function withTimeout (sql) {
+  // let MariaDB interrupt the query when it exceeds the time budget (which is read for each query, so tests can change it)
+  return Env.QueryTimeout > 0 ? `SET STATEMENT max_statement_time=${Env.QueryTimeout} FOR ${sql}` : sql
+}
+
+function editDistance (a, b) {
+  // Return the Levenshtein distance between the two strings
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function tableNamesOf (datasetRecords) {
+  // Return the names of the tables of the versions in the given records of the datasets table
+  return datasetRecords.reduce((names, dsRecord) => {
+    const ds = new Dataset(dsRecord.name, dsRecord.version)
+    ds.initialize(JSON.parse(dsRecord.definition))
+    names.push(...ds.tableNames)
+    return names
+  }, [])
+}
 
 class DDFSchema {
   constructor (obj) {
@@ -42,7 +88,7 @@ class DDFSchema {
      *
      * @param key: a tuple (an array) of DDF concepts.
      */
-    return key.length === 1 && ['time', 'year', 'quarter', 'month', 'week', 'day'].includes(key[0])
+    return key.length === 1 && TimeConcepts.includes(key[0])
   }
 
   toJSON () {
@@ -120,7 +166,9 @@ class DDFSchema {
     if (!fromClause) {
       throw QuerySyntaxError.WrongFrom(ddfQuery)
     }
-    return new ArrayStream(this._querySchema(fromClause[1]))
+    const offset = ddfQuery.offset || 0
+    const end = ddfQuery.limit !== undefined ? offset + ddfQuery.limit + 1 : undefined
+    return new ArrayStream(this._querySchema(fromClause[1]).slice(offset, end))
   }
 
   get domains () {
@@ -178,6 +226,96 @@ class DDFSchema {
     }
   }
 
+  get conceptNames () {
+    /*
+     * Return a Set with the names of all concepts that queries on this schema can refer to.
+     */
+    if (this._conceptNames) {
+      return this._conceptNames
+    }
+    const names = new Set(['concept', ...TimeConcepts])
+    for (const kind of ['concepts', 'entities', 'datapoints']) {
+      for (const key in this[kind]) {
+        for (const name of [...key.split('$'), ...(this[kind][key].values || [])]) {
+          names.add(name)
+        }
+      }
+    }
+    for (const entitySet in this.entities) {
+      names.add(entitySet)
+      names.add(`is--${entitySet}`)
+    }
+    for (const [name, domain] of [...Object.entries(this.domains), ...Object.entries(this.roles)]) {
+      names.add(name)
+      names.add(domain)
+    }
+    this._conceptNames = names
+    return names
+  }
+
+  suggestionsFor (concept, maxSuggestions = 3) {
+    /*
+     * Return a list with the known concepts that are most similar to the given (unknown) concept.
+     */
+    const maxDistance = Math.max(1, Math.floor(concept.length / 3))
+    const candidates = []
+    for (const name of this.conceptNames) {
+      const distance = name.toLowerCase() === concept.toLowerCase() ? 0 : editDistance(concept, name)
+      if (distance <= maxDistance) {
+        candidates.push({ name, distance })
+      }
+    }
+    return candidates.sort((a, b) => a.distance - b.distance).slice(0, maxSuggestions).map(c => c.name)
+  }
+
+  validate (ddfQuery) {
+    /*
+     * Check that every concept that the query refers to is known in this schema.
+     *
+     * Throws a QueryError that lists all unknown concepts, with suggestions for
+     * each of them. Otherwise returns true.
+     */
+    const known = this.conceptNames
+    const unknown = new Set()
+    const check = concept => {
+      if (typeof concept === 'string' && known.has(concept) !== true) {
+        unknown.add(concept)
+      }
+    }
+    const checkWhere = (where) => {
+      for (const column in where || {}) {
+        if (['$and', '$or', '$nor'].includes(column)) {
+          (Array.isArray(where[column]) ? where[column] : []).forEach(checkWhere)
+        } else if (column.startsWith('$') !== true) {
+          check(column)
+        }
+      }
+    }
+    ddfQuery.select.key.forEach(check)
+    ddfQuery.select.value.forEach(check)
+    checkWhere(ddfQuery.where)
+    for (const joinSpec of Object.values(ddfQuery.join || {})) {
+      if (joinSpec) {
+        const joinKey = typeof joinSpec.key === 'string' ? [joinSpec.key] : joinSpec.key || []
+        joinKey.forEach(check)
+        checkWhere(joinSpec.where)
+      }
+    }
+    Object.values(ddfQuery.group_by || {}).forEach(check)
+    for (const fieldSpec of ddfQuery.order_by || []) {
+      check(Object.keys(fieldSpec)[0])
+    }
+
+    if (unknown.size > 0) {
+      const suggestions = {}
+      for (const concept of unknown) {
+        suggestions[concept] = this.suggestionsFor(concept)
+      }
+      throw QueryError.UnknownConcepts(ddfQuery, suggestions)
+    }
+    return true
+  }
+
   resolveColumn (column) {
     // resolve the given column with the known roles and domains
     let resolvedColumn = this.roles[column] || column
@@ -274,7 +412,10 @@ class DDFSchema {
      */
     const tableName = table ? table.name : null
     for (const column in filter) {
-      if (['$and', '$or'].includes(column)) {
+      if (['$and', '$or', '$nor'].includes(column)) {
+        if (Array.isArray(filter[column]) !== true) {
+          throw QuerySyntaxError.WrongWhere()
+        }
         // maintain the nesting, i.e. recurse
         const subFilters = filter[column].reduce((subFilters, f) => { // filter.$and MUST be an Array
           this._addFilter(subFilters, f, table)
@@ -283,6 +424,10 @@ class DDFSchema {
         if (subFilters.length > 0) {
           filters.push({ [column]: subFilters })
         }
+      } else if (column.startsWith('$')) {
+        const whereErr = QuerySyntaxError.WrongWhere()
+        whereErr.message = `Invalid where clause, unknown operator ${column}.`
+        throw whereErr
       } else {
         const tableColumn = table && table.values && table.values.includes(column) ? column : this.domains[column] || column
         const columnName = tableName ? `${tableName}.${tableColumn}` : tableColumn
@@ -292,6 +437,13 @@ class DDFSchema {
           whereErr.message = `Invalid where clause ${column ? `for ${column}` : ''}. Condition is "null".`
           Log.warn(whereErr) // don't throw but log and ignore the filter. This as throwing seems to correlate with logging issues on GCK.
         } else if (typeof condition === 'object') {
+          for (const operator in condition) {
+            if (isValidCondition(operator, condition[operator]) !== true) {
+              const whereErr = QuerySyntaxError.WrongWhere()
+              whereErr.message = `Invalid where clause for ${column}, ${operator} is unknown or has an unacceptable operand.`
+              throw whereErr
+            }
+          }
           if (Object.keys(condition).length > 1) {
             // make the implicit $and explicit
             filters.push({ $and: Object.keys(condition).reduce((subFilters, operator) => {
@@ -299,7 +451,6 @@ class DDFSchema {
               return subFilters
             }, []) })
           } else {
-            // TODO: check that property name is an operator, and value is valid for that operator etc.
             filters.push({ [columnName]: condition })
           }
         } else if (typeof condition === 'string' && condition.startsWith('$')) {
@@ -333,6 +484,15 @@ class DDFSchema {
   }
 
   sqlFor (ddfQuery) {
+    const { table, tableQuery } = this.tableQueryFor(ddfQuery)
+    return table.sqlFor(tableQuery)
+  }
+
+  tableQueryFor (ddfQuery) {
+    /*
+     * Return the table that can answer the given DDF query, and the
+     * query for that table, i.e. the projection, joins, filters etc.
+     */
     if (!this[ddfQuery.from]) {
       throw QueryError.NotSupported()
     }
@@ -352,12 +512,13 @@ class DDFSchema {
         }
       }
     }
-    const key = ddfQuery.select.key.map(k => this.domains[k] || (fromEntities ? this.roles[k] || k : k))
+    const key = this.tableKeyFor(ddfQuery)
     const table = this.tableFor(ddfQuery.from, key)
     if (!table) {
       throw QueryError.NotSupported()
     }
     const projection = [...key, ...ddfQuery.select.value]
+    const { groups, aggregates } = this._aggregationFor(ddfQuery, key, joins)
 
     for (const joinOn in (ddfQuery.join || {})) {
       if (/^\$[_a-z0-9]+/.test(joinOn) !== true) {
@@ -393,9 +554,15 @@ class DDFSchema {
 
     this._addFilter(filters, where || {})
 
-    const values = [...projection, ...this.definitionFor(ddfQuery.from, key).values]
+    // the results of an aggregation query can only be ordered on the columns of the results
+    const values = aggregates ? projection : [...projection, ...this.definitionFor(ddfQuery.from, key).values]
     const sort = (ddfQuery.order_by || []).reduce((sort, fieldSpec) => {
-      if (values.includes(Object.keys(fieldSpec)[0])) {
+      const [field, direction] = Object.entries(fieldSpec)[0]
+      const groupIdx = ddfQuery.select.key.findIndex(k => (ddfQuery.group_by || {})[k] === field)
+      if (aggregates && groupIdx >= 0) {
+        // ordered on the target of a group, i.e. on (the expression for) the key column
+        sort.push({ [key[groupIdx]]: direction })
+      } else if (values.includes(field)) {
         sort.push(fieldSpec)
       } else {
         ddfQuery.warn(QueryError.WrongOrderBy(ddfQuery))
@@ -403,7 +570,100 @@ class DDFSchema {
       return sort
     }, [])
 
-    return table.sqlFor({ projection, joins, filters, sort, language: ddfQuery.language })
+    const page = ddfQuery.limit !== undefined || ddfQuery.offset !== undefined
+    if (page) {
+      // results can only be paged when the order is fully determined, so add the key as a tie-breaker
+      for (const column of key) {
+        if (sort.some(fieldSpec => Object.keys(fieldSpec)[0] === column) !== true) {
+          sort.push({ [column]: 'asc' })
+        }
+      }
+      if (ddfQuery.isForData && ddfQuery.select.value.length > 0) {
+        // records that only contain null values will not be returned, so they should not count for the limit
+        filters.push({ $or: ddfQuery.select.value.map(column => ({ [column]: { $ne: null } })) })
+      }
+    }
+    // fetch one more record than the limit to know if there are more results
+    const limit = ddfQuery.limit !== undefined ? ddfQuery.limit + 1 : undefined
+
+    const tableQuery = { projection, joins, filters, groups, aggregates, sort, limit, offset: ddfQuery.offset, language: ddfQuery.language }
+    return { table, tableQuery }
+  }
+
+  _aggregationFor (ddfQuery, key, joins = []) {
+    /*
+     * Return the groups and the aggregates for an aggregation query, for
+     * the (domain) key of the table that is queried.
+     *
+     * Groups are either on a coarser time unit, or on a property of the
+     * entities of the key. In the latter case the entity table is added
+     * to the joins, unless the query is for those entities.
+     */
+    if (!ddfQuery.isAggregated) {
+      return { groups: {} }
+    }
+    const groups = {}
+    ddfQuery.select.key.forEach((k, idx) => {
+      const target = (ddfQuery.group_by || {})[k]
+      if (target === undefined) {
+        return
+      }
+      const column = key[idx]
+      if (this.isInTimeDomain([k])) {
+        if (!TimeUnits[target] || !TimeGroups[k].includes(target)) {
+          throw QuerySyntaxError.WrongGroupBy(ddfQuery)
+        }
+        groups[column] = { unit: target }
+        return
+      }
+      const definition = this.definitionFor('entities', [column])
+      if (!definition || definition.values.includes(target) !== true) {
+        throw QuerySyntaxError.WrongGroupBy(ddfQuery)
+      }
+      if (ddfQuery.isForEntities) {
+        groups[column] = { property: target }
+      } else {
+        const foreignTable = this.tableFor('entities', [column])
+        this._addJoin(joins, foreignTable, column)
+        groups[column] = { table: foreignTable, property: target }
+      }
+    })
+    return { groups, aggregates: Object.assign({}, ddfQuery.aggregate) }
+  }
+
+  tableKeyFor (ddfQuery) {
+    /*
+     * Return the key of the selected table, i.e. with entity sets replaced by their domains.
+     */
+    const fromEntities = ddfQuery.from === 'entities'
+    return ddfQuery.select.key.map(k => this.domains[k] || (fromEntities ? this.roles[k] || k : k))
+  }
+
+  sqlTypesFor (ddfQuery) {
+    /*
+     * Return a list with the SQL types of the columns in the results for the given query,
+     * in the order of the header of the query. Unknown types will be undefined.
+     */
+    if (ddfQuery.isForSchema) {
+      return ddfQuery.header.map(() => 'VARCHAR')
+    }
+    const key = this.tableKeyFor(ddfQuery)
+    const table = this[ddfQuery.from] ? this.tableFor(ddfQuery.from, key) : null
+    const { groups, aggregates } = table ? this._aggregationFor(ddfQuery, key) : { groups: {} }
+    return [...key, ...ddfQuery.select.value].map(column => {
+      const group = groups[column]
+      const aggregate = (aggregates || {})[column]
+      if (group && group.unit) {
+        return group.unit === 'year' ? 'INTEGER' : 'VARCHAR'
+      } else if (group) {
+        return (group.table || table).sqlTypeFor(group.property, ddfQuery.language)
+      } else if (aggregate === 'count') {
+        return 'BIGINT'
+      } else if (['sum', 'avg'].includes(aggregate)) {
+        return 'DOUBLE'
+      }
+      return table ? table.sqlTypeFor(column, ddfQuery.language) : undefined
+    })
   }
 
   definitionFor (kind = 'entities', key = []) {
@@ -425,9 +685,10 @@ class DDFSchema {
     }
   }
 
-  setTable (kind = 'datapoints', key = [], table) {
+  setTable (kind = 'datapoints', key = [], table, inputHash = undefined) {
     /*
-     * Save relevant info about the table for a key
+     * Save relevant info about the table for a key, including the hash of the
+     * input files of the table, if any, which allows a next version to reuse the table.
      */
     const canonicalKey = key.join('$')
     if (this[kind] === undefined) {
@@ -437,6 +698,23 @@ class DDFSchema {
       this[kind][canonicalKey] = {}
     }
     this[kind][canonicalKey].table = table
+    if (inputHash) {
+      this[kind][canonicalKey].inputHash = inputHash
+    }
+  }
+
+  reusableTableFor (kind, key = [], inputHash) {
+    /*
+     * Return the table for the key if it was created from input with the given hash, otherwise null.
+     */
+    const def = (this[kind] || {})[key.join('$')]
+    if (!def || !def.table || !inputHash || def.inputHash !== inputHash) {
+      return null
+    }
+    if (typeof def.table.createIn !== 'function') { // a plain specification, as stored in the DB
+      def.table = Table.specifiedBy(def.table)
+    }
+    return def.table
   }
 
   static fromDDFPackage (packageJSON) {
@@ -487,6 +765,8 @@ class Dataset {
     this.name = name
     this.version = version
     this._password = password
+    this._createdTables = new Set() // the tables created while loading, see rollBack()
+    this._reusedTables = new Set() // the tables of a previous version that are used by this version as well
   }
 
   toJSON () {
@@ -589,7 +869,13 @@ class Dataset {
         Log.error({ err, sql })
         throw err
       }
+      if (this.isNew) {
+        this._inserted = true
+      }
       Log.info(`${this.isNew ? 'Inserted' : 'Updated'} dataset ${this.name}.${this.version}`)
+      if (!this.isNew) {
+        Dataset.events.emit('changed', this.name, this.version)
+      }
       delete this._isNew
 
       if (publish === true) {
@@ -599,8 +885,9 @@ class Dataset {
       return this
     } catch (err) {
       Log.error(err)
+      throw err // e.g. to roll back a load, see Dataset.load()
     } finally {
-      if (conn.end) conn.end()
+      if (conn && conn.end) conn.end()
     }
   }
 
@@ -609,7 +896,7 @@ class Dataset {
   }
 
   static async open (name, version = undefined, mustExist = false) {
-    let sql = `SELECT name, version, definition, password FROM datasets WHERE name = '${name}'`
+    let sql = `SELECT name, version, definition, password, is__default AS isDefault, imported FROM datasets WHERE name = '${name}'`
     if (version === 'latest') {
       sql += ` ORDER BY imported DESC;`
     } else if (version) {
@@ -624,6 +911,9 @@ class Dataset {
     if (doc) {
       dataset = new this(name, doc.version, doc.password)
       dataset.initialize(JSON.parse(doc.definition))
+      dataset._isDefault = Boolean(doc.isDefault)
+      // changes when the version is loaded again, or updated, possibly by another process
+      dataset._revision = Crypto.createHash('sha1').update(`${doc.imported}\n${doc.definition}`).digest('hex')
       Log.debug(`Loaded dataset ${dataset.name}.${dataset.version} from DB`)
       if (dataset._isNew) {
         dataset._isNew = false
@@ -643,6 +933,14 @@ class Dataset {
     return this._password && true
   }
 
+  get isDefault () {
+    return this._isDefault === true
+  }
+
+  get revision () {
+    return this._revision
+  }
+
   get hashedPassword () {
     return this._password
   }
@@ -657,7 +955,7 @@ class Dataset {
     assert(credential.name === this.name && hashedPassword === this.hashedPassword, 'invalid password')
   }
 
-  async queryStream (ddfQuery, abortCheck = () => false, credential) {
+  async queryStream (ddfQuery, abortCheck = () => false, credential, sharedConnection = undefined) {
     /*
      * response for {select: {key: ['key', 'value'], value: []}, from: 'concepts.schema'} should be an array with the column names
      * of the concepts. Like [{key: ['concept'], value: 'color'}, {key: ['concept'], value: 'concept_type'}, ....]
@@ -673,48 +971,66 @@ class Dataset {
      * Similarly {select: {key: ['geo'], values: ['landlocked', 'main_religion', ..]}, from: 'entities'}
      *
      * Time values need to be parsed by the reader/client, the service just returns strings.
+     *
+     * If a (shared) connection is given the query will use that connection, and the
+     * connection will not be released when the query is done.
+     *
+     * The cleanUp method of the returned stream stops the query, if it still runs, and returns
+     * a Promise that resolves when the connection can be used for another query.
      */
-    if (this.isProtected) {
-      try {
-        this.verifyCredential(credential)
-      } catch (err) {
-        Log.debug(err.message)
-        const error = new Error('correct password required')
-        error.code = 'PASSWORD_REQUIRED'
-        throw error
-      }
-    }
+    this._checkAccess(ddfQuery, credential)
 
     if (ddfQuery.isForSchema) {
       return this.schema.queryStream(ddfQuery)
     }
 
-    if (this.language && this.language === ddfQuery.language) {
-      delete ddfQuery.language // this increases efficiency a bit
-    }
+    this._prepareQuery(ddfQuery)
     const sql = this.schema.sqlFor(ddfQuery)
     Log.debug(sql)
-    const connection = await DB.getConnection()
+    const connection = sharedConnection || await DB.getConnection()
 
     // we may have had to wait a long time to get the connection so check if we should abort
     if (abortCheck()) {
-      connection.end()
+      if (!sharedConnection) connection.end()
       return null
     }
 
     return new Promise((resolve, reject) => {
       let resolved = false
-      const recordStream = connection.queryStream({ sql, rowsAsArray: true })
+      let running = true
+      const recordStream = connection.queryStream({ sql: withTimeout(sql), rowsAsArray: true })
       recordStream.cleanUp = (err) => {
         delete recordStream.cleanUp
         Log.debug('Starting to cleanup recordStream')
         if (err) {
           Log.debug(`because ${err.message}`)
         }
-        connection.end().then(() => {
-          Log.debug(`Connection ${connection.threadId} released.`)
-        })
+        const release = () => {
+          if (sharedConnection) {
+            return
+          }
+          connection.end().then(() => {
+            Log.debug(`Connection ${connection.threadId} released.`)
+          })
+        }
+        if (running) {
+          // the results are abandoned, so stop the query on the server, and discard what it already sent
+          Log.debug(`Killing query on connection ${connection.threadId}`)
+          const killed = killQuery(connection.threadId).catch(err => Log.error(err))
+          const drained = new Promise(resolve => {
+            recordStream.once('end', resolve)
+            recordStream.once('error', resolve)
+          })
+          recordStream.unpipe()
+          recordStream.resume()
+          // the KILL QUERY uses another connection, if this connection were released before the kill
+          // is done, the kill could stop the next query on this connection
+          return Promise.all([killed, drained]).then(release)
+        }
+        release()
+        return Promise.resolve()
       }
+      recordStream.once('end', () => { running = false })
       recordStream.once('end', () => {
         // this happens if there is no data, i.e. the query result is empty
         if (resolved === false) {
@@ -734,13 +1050,93 @@ class Dataset {
       })
       recordStream.on('error', err => {
         resolved = true
-        process.nextTick((err) => recordStream.cleanUp(err), err)
+        running = false
+        process.nextTick((err) => recordStream.cleanUp && recordStream.cleanUp(err), err)
         err.sql = sql
         reject(err)
       })
     })
   }
 
+  _checkAccess (ddfQuery, credential) {
+    /*
+     * Throw an error if this dataset cannot be queried with the given credential,
+     * or if the query (cursor) is for another version of this dataset.
+     */
+    if (this.isProtected) {
+      try {
+        this.verifyCredential(credential)
+      } catch (err) {
+        Log.debug(err.message)
+        const error = new Error('correct password required')
+        error.code = 'PASSWORD_REQUIRED'
+        throw error
+      }
+    }
+
+    if (ddfQuery.cursorVersion !== undefined && ddfQuery.cursorVersion !== this.version) {
+      throw QuerySyntaxError.WrongCursor(ddfQuery)
+    }
+  }
+
+  _prepareQuery (ddfQuery) {
+    if (this.language && this.language === ddfQuery.language) {
+      delete ddfQuery.language // this increases efficiency a bit
+    }
+    this.schema.validate(ddfQuery)
+  }
+
+  async explain (ddfQuery, execute = false, credential) {
+    /*
+     * Return an object that explains how the query would be answered:
+     * the normalized query, the tables that are involved, the SQL and
+     * the plan of the DB for that SQL.
+     *
+     * If execute is true the query is also run, and the number of
+     * records and the time it took are included.
+     */
+    this._checkAccess(ddfQuery, credential)
+    const explanation = { query: ddfQuery, version: this.version }
+    if (ddfQuery.isForSchema) {
+      explanation.sql = null
+      return explanation
+    }
+
+    this._prepareQuery(ddfQuery)
+    const { table, tableQuery } = this.schema.tableQueryFor(ddfQuery)
+    const sql = table.sqlFor(tableQuery)
+    const describe = (table) => {
+      const description = { name: table.name, tableName: table.tableName }
+      if (table.tables) { // a WideTable
+        description.tables = table.tables.map(describe)
+      }
+      return description
+    }
+    explanation.table = describe(table)
+    explanation.joins = (tableQuery.joins || []).map(join => ({ table: describe(join.inner), on: join.on, innerOn: join.innerOn }))
+    explanation.sql = sql
+
+    const connection = await DB.getConnection()
+    try {
+      const rows = await connection.query(`EXPLAIN FORMAT=JSON ${sql}`)
+      explanation.plan = JSON.parse(Object.values(rows[0])[0])
+      if (execute) {
+        const start = Moment()
+        const recordCount = await new Promise((resolve, reject) => {
+          let count = 0
+          connection.queryStream({ sql: withTimeout(sql), rowsAsArray: true })
+            .on('data', () => { count += 1 })
+            .on('end', () => resolve(count))
+            .on('error', reject)
+        })
+        explanation.execution = { records: recordCount, time: Moment().diff(start, 'milliseconds') }
+      }
+    } finally {
+      connection.end()
+    }
+    return explanation
+  }
+
   _getFieldMapForEntityCSVFile (filename) {
     const filenameParser = /ddf-{2}entities-{2}([a-z0-9]+)(-{2}[_a-z0-9]+)?/
 
@@ -767,9 +1163,32 @@ class Dataset {
       }
       return files
     }, {})
-    for (const file of Object.keys(files)) {
-      const fileDetails = files[file]
-      await table.updateSchemaFromCSVFile(file, fileDetails.keyMap, options.ignoreNullValues, translations[file])
+    const progress = options.onProgress || (() => {})
+    let inputHash
+    if (options.onlyParse !== true) {
+      inputHash = await this._hashInputsFor(ddfTable, files, translations, options)
+      const previousTable = this._previousSchema && this._previousSchema.reusableTableFor(ddfTable.kind, ddfTable.key, inputHash)
+      if (previousTable) {
+        Log.info(`Reusing ${previousTable.name} for ${ddfTable.kind} ${ddfTable.key.join(', ')}, as its input did not change`)
+        this.schema.setTable(ddfTable.kind, ddfTable.key, previousTable, inputHash)
+        this._reusedTables.add(previousTable)
+        for (const file of Object.keys(files)) {
+          progress({ file, phase: 'reused' })
+        }
+        return previousTable
+      }
+    }
+    let resource = table.name // what is being loaded, to report when that fails
+    try {
+      for (const file of Object.keys(files)) {
+        resource = file
+        const fileDetails = files[file]
+        await table.updateSchemaFromCSVFile(file, fileDetails.keyMap, options.ignoreNullValues, translations[file])
+        progress({ file, phase: 'parsed', rows: table.rowCountFor(file) })
+      }
+    } catch (err) {
+      Log.error(err)
+      throw LoadError.ResourceFailed(resource, err)
     }
     table.updateSchemaWithColumns(ddfTable.values)
     Log.info(`Expected row size is ${table.estimatedRowSize} bytes`)
@@ -780,12 +1199,17 @@ class Dataset {
         // these columns are filled once the table has been loaded
       }
       try {
-        table = await table.createIn(DB)
+        resource = table.name
+        table = await table.createIn(DB, true, this._createdTables)
+        progress({ tables: Array.from(this._createdTables) }) // to roll back a load that was interrupted, see jobs.js
         await table.setPrimaryIndexTo(ddfTable.key)
         for (const file of Object.keys(files)) {
+          resource = file
           const fileDetails = files[file]
           await table.loadCSVFile(file, fileDetails.values, fileDetails.keyMap, translations[file], options.viaTmpTable)
+          progress({ file, phase: 'loaded', rows: table.rowCountFor(file) })
         }
+        resource = table.name
         /*
          * the next section creates joins to update "is--country" columns on a "geo" table
          * However, it was noted that it's at least as fast to do those joins during query processing
@@ -806,10 +1230,10 @@ class Dataset {
         for (const join of Object.values(joins)) {
           await table.updateFromJoin(join.entityTable, join.domain, join.columns)
         }
-        this.schema.setTable(ddfTable.kind, ddfTable.key, table)
+        this.schema.setTable(ddfTable.kind, ddfTable.key, table, inputHash)
       } catch (err) {
         Log.error(err)
-        process.exit(1)
+        throw LoadError.ResourceFailed(resource, err)
       } finally {
         table.cleanUp()
       }
@@ -817,6 +1241,36 @@ class Dataset {
     return table
   }
 
+  async _hashInputsFor (ddfTable, files, translations = {}, options = {}) {
+    /*
+     * Return a hash of the definition of the table and the contents of all its input files,
+     * which is the same for two versions if (and only if) the table would be the same.
+     */
+    const hash = Crypto.createHash('sha256')
+    hash.update(JSON.stringify({
+      key: ddfTable.key,
+      values: ddfTable.values,
+      entityKeys: ddfTable.entityKeys,
+      ignoreNullValues: options.ignoreNullValues === true
+    }))
+    const hashFile = path => new Promise((resolve, reject) => {
+      hash.update(`\n${path.slice(this._directory.length)}\n`) // the location of the package does not matter
+      createReadStream(path)
+        .on('data', data => hash.update(data))
+        .on('end', resolve)
+        .on('error', reject)
+    })
+    for (const file of Object.keys(files).sort()) {
+      hash.update(JSON.stringify(files[file]))
+      await hashFile(file)
+      const fileTranslations = translations[file] || {}
+      for (const language of Object.keys(fileTranslations).sort()) {
+        await hashFile(fileTranslations[language])
+      }
+    }
+    return hash.digest('hex')
+  }
+
   async _getTranslations (dirPath, dataPackage) {
     /*
      * Return an object with filenames as propterty names that mappings of
@@ -840,10 +1294,22 @@ class Dataset {
   }
 
   async loadFromDirectory (dirPath, options) {
+    /*
+     * Load the DDF package in the directory, or in the archive (.zip, .tar or .tar.gz) at the given path.
+     */
+    if (isArchive(dirPath)) {
+      const extracted = await extractArchive(dirPath)
+      try {
+        return await this.loadFromDirectory(extracted.path, options)
+      } finally {
+        await extracted.cleanUp()
+      }
+    }
     if (dirPath.endsWith('/')) {
       dirPath = dirPath.slice(0, -1)
     }
 
+    this._directory = dirPath
     const dataPackage = await JSONFile.readFile(`${dirPath}/datapackage.json`)
     if (dataPackage.language) {
       this.language = dataPackage.language.id
@@ -860,34 +1326,71 @@ class Dataset {
     }, {})
 
     const translations = await this._getTranslations(dirPath, dataPackage)
+    const progress = options.onProgress || (() => {})
 
     const nonDataFileOptions = Object.assign({}, options, { ignoreNullValues: true })
     // 1. Read concepts from file(s) and store in 'concepts' collection.
+    progress({ step: 'concepts' })
     const concepts = await this._createTableFor(this.schema.conceptsTableDefinition, translations, nonDataFileOptions)
     // 2. Update the schema with mapping of entity sets and roles to entity domains
-    // TODO: check that the domain of an entity set actually refers to a concept of type entity_domain!
-    this.schema.ensureDomains(await DB.query(`SELECT concept AS name, concept_type AS conceptType, domain FROM \`${concepts.tableName}\` WHERE concept_type IN ('entity_set', 'role');`))
+    const entityConcepts = await DB.query(`SELECT concept AS name, concept_type AS conceptType, domain FROM \`${concepts.tableName}\` WHERE concept_type IN ('entity_domain', 'entity_set', 'role');`)
+    const entityDomains = new Set(entityConcepts.filter(c => c.conceptType === 'entity_domain').map(c => c.name))
+    const domainConcepts = entityConcepts.filter(c => c.conceptType !== 'entity_domain')
+    for (const { name, domain } of domainConcepts) {
+      if (domain && !entityDomains.has(domain)) {
+        throw new SchemaError(`The domain of ${name}, ${domain}, is not an entity domain`)
+      }
+    }
+    this.schema.ensureDomains(domainConcepts)
     // 3. Create tables for each entity domain and load all files for that entity domain.
     for (const tableDef of this.schema.domainTableDefinitions) {
+      progress({ step: `entities ${tableDef.key.join(', ')}` })
       await this._createTableFor(tableDef, translations, nonDataFileOptions)
     }
     // 4. Now create the datapoints tables and then load all the data.
     const datapointTableOptions = Object.assign({ viaTmpTable: true }, options, { ignoreNullValues: false })
     for (const tableDef of this.schema.datapointTableDefinitions) {
+      progress({ step: `datapoints ${tableDef.key.join(', ')}` })
       const table = await this._createTableFor(tableDef, translations, datapointTableOptions)
-      if (options.onlyParse !== true) {
+      if (options.onlyParse !== true && !this._reusedTables.has(table)) {
         await table.dropPrimaryIndex()
         await table.createIndexes()
       }
       table.cleanUp()
     }
     // 5. Import the assets in parallel
+    progress({ step: 'assets' })
     await this.importAssets(dirPath)
 
     return this
   }
 
+  async rollBack () {
+    /*
+     * Undo a (failed) load: drop all tables that were created while loading this dataset,
+     * and delete the record of this version if it was inserted.
+     */
+    const tableNames = Array.from(this._createdTables)
+    Log.info(`Rolling back the load of ${this.name}.${this.version}, dropping ${tableNames.length} tables`)
+    for (const tableName of tableNames) {
+      await DB.query(`DROP TABLE IF EXISTS \`${tableName}\`;`)
+      this._createdTables.delete(tableName)
+    }
+    if (this._inserted) {
+      await DB.query(`DELETE FROM datasets WHERE name = '${this.name}' AND version = '${this.version}';`)
+      this._inserted = false
+    }
+  }
+
   async importAssets (dirPath) {
+    if (isArchive(dirPath)) {
+      const extracted = await extractArchive(dirPath)
+      try {
+        return await this.importAssets(extracted.path)
+      } finally {
+        await extracted.cleanUp()
+      }
+    }
     let assets = []
     try {
       assets = await FS.readdir(`${dirPath}/assets`)
@@ -909,17 +1412,13 @@ class Dataset {
     let conn
     try {
       conn = connection || await DB.getConnection()
+      this.password = password
       await conn.query(`
-        UPDATE datasets SET password = SHA2(${password}, 256)
-        WHERE name = '${this.name} AND version = '${this.version}';`)
-      const result = await conn.query(`
-        SELECT password FROM datasets 
-        WHERE name = '${this.name} AND version = '${this.version}';`)
-      this._password = result.password
-    } catch (err) {
-      Log.error(err)
+        UPDATE datasets SET password = '${this.hashedPassword}'
+        WHERE name = '${this.name}' AND version = '${this.version}';`)
+      Dataset.events.emit('changed', this.name, this.version)
     } finally {
-      if (connection === undefined && conn.end) conn.end()
+      if (connection === undefined && conn && conn.end) conn.end()
     }
   }
 
@@ -956,8 +1455,9 @@ class Dataset {
       }
     } catch (err) {
       Log.error(err)
+      throw err
     } finally {
-      if (connection === undefined && conn.end) conn.end()
+      if (connection === undefined && conn && conn.end) conn.end()
     }
   }
 
@@ -972,6 +1472,106 @@ class Dataset {
     return this.schema.tableNames
   }
 
+  static checkName (name) {
+    /*
+     * Throw an error if the name cannot be used for a dataset, as the service would not answer queries for it.
+     */
+    if (ReservedNames.includes(name)) {
+      throw LoadError.ReservedName(name)
+    }
+  }
+
+  static async lockForLoading (name) {
+    /*
+     * Return a connection that holds the (DB wide) lock to load the dataset with the given name.
+     * Throws an error if another process, or job, is already loading that dataset.
+     */
+    const conn = await DB.getConnection()
+    try {
+      const lockName = `load_${Crypto.createHash('md5').update(name).digest('hex')}`
+      const rows = await conn.query(`SELECT GET_LOCK('${lockName}', 0) AS locked;`)
+      if (rows[0].locked !== 1) {
+        const err = new Error(`Dataset ${name} is already being loaded`)
+        err.code = 'DDF_LOAD_IN_PROGRESS'
+        throw err
+      }
+      conn.lockName = lockName
+      return conn
+    } catch (err) {
+      conn.end()
+      throw err
+    }
+  }
+
+  static async unlock (conn) {
+    try {
+      await conn.query(`SELECT RELEASE_LOCK('${conn.lockName}');`)
+    } finally {
+      conn.end()
+    }
+  }
+
+  static async load (name, version, dirPath, options = {}, lock = undefined) {
+    /*
+     * Load a (new version of a) dataset from the DDF package in the given directory.
+     *
+     * Unless a lock (see lockForLoading) is given, this will first obtain the lock to load the dataset.
+     * Returns the loaded Dataset.
+     */
+    lock = lock || await this.lockForLoading(name)
+    try {
+      this.checkName(name)
+      if (['latest', '_ALL_'].includes(version)) { // inside the try, to release a lock that was passed in
+        throw new Error(`Cannot use "${version}" as a version`)
+      }
+      const ds = await this.open(name, version)
+      if (options.assetsOnly) {
+        await ds.importAssets(dirPath)
+        return ds
+      }
+      if (!ds.isNew && version) {
+        throw new Error(`Dataset ${name}.${version} already exists`)
+      }
+      if (!ds.isNew || !version) {
+        ds.incrementVersion()
+      }
+      if (ds.isNew && options.password) {
+        ds.password = options.password
+      }
+      if (options.commit) {
+        ds.commit = options.commit // the git commit that the dataset was loaded from, see git.js
+      } else {
+        delete ds.commit // as ds may be a previous version
+      }
+      if (options.incremental) {
+        const previous = await this.open(name, 'latest')
+        if (!previous.isNew) {
+          Log.info(`Unchanged tables of ${name}.${previous.version} will be reused`)
+          ds._previousSchema = previous.schema
+        }
+      }
+      MainLog.notify(`Starting to load dataset ${name} from ${dirPath}${version ? `.${version}` : ''}`)
+      const startTime = Moment.utc()
+      try {
+        await ds.loadFromDirectory(dirPath, options)
+        if (options.onlyParse !== true) {
+          await ds.save(options.publish)
+        }
+      } catch (err) {
+        try {
+          await ds.rollBack()
+        } catch (rollBackErr) {
+          MainLog.error(rollBackErr, `Could not roll back the load of ${ds.name}.${ds.version}`)
+        }
+        throw err instanceof LoadError ? err : LoadError.DatasetFailed(`${ds.name}.${ds.version}`, err)
+      }
+      MainLog.notify(`Loading dataset ${ds.name}.${ds.version} took ${Moment.utc().diff(startTime, 'minutes')} minutes.`)
+      return ds
+    } finally {
+      await this.unlock(lock)
+    }
+  }
+
   static async remove (name, version = 'latest', connection = undefined) {
     /*
     * Delete ALL tables for the dataset with the given name.
@@ -980,11 +1580,13 @@ class Dataset {
     * If no version is given the most recently loaded version will be deleted, unless it
     * is marked as "default."
     * The version parameter can also be a list of versions.
+    *
+    * Unless a connection is given, which should hold the lock to load the dataset, this refuses
+    * to delete while the dataset is being loaded, as an (incremental) load can reuse its tables.
     */
-    let conn
+    const conn = connection || await this.lockForLoading(name)
     const filters = [`name = '${name}'`]
     try {
-      conn = connection || await DB.getConnection()
       let msg = `Deleting tables belonging to ${name}`
       if (Array.isArray(version)) {
         filters.push(`version IN (${version.map(v => `'${v}'`).join(', ')})`)
@@ -1017,12 +1619,11 @@ class Dataset {
       const datasets = await conn.query({
         sql: `SELECT name, version, definition FROM datasets WHERE ${filters.join(' AND ')};`
       })
-      const tableNames = datasets.reduce((names, dsRecord) => {
-        const ds = new Dataset(dsRecord.name, dsRecord.version)
-        ds.initialize(JSON.parse(dsRecord.definition))
-        names.push(...ds.tableNames)
-        return names
-      }, [])
+      // versions loaded incrementally share tables with other versions, which should not be deleted
+      const sharedTableNames = new Set(tableNamesOf(await conn.query({
+        sql: `SELECT name, version, definition FROM datasets WHERE name = '${name}' AND NOT (${filters.join(' AND ')});`
+      })))
+      const tableNames = [...new Set(tableNamesOf(datasets))].filter(tableName => !sharedTableNames.has(tableName))
       Log.info(`About to delete ${tableNames.length} tables...`)
       await Promise.all(tableNames.map(tableName => {
         return conn.query(`DROP TABLE \`${tableName}\`;`)
@@ -1035,12 +1636,13 @@ class Dataset {
       }))
       // TODO: remove assets from cloud storage ?
       await conn.query(`DELETE FROM datasets WHERE ${filters.join(' AND ')};`)
+      datasets.forEach(dsRecord => this.events.emit('removed', dsRecord.name, dsRecord.version))
       return await this.all(name, conn)
     } catch (err) {
       console.info(err.message)
       Log.warn(err)
     } finally {
-      if (connection === undefined && conn.end) conn.end()
+      if (connection === undefined) await this.unlock(conn)
     }
   }
 
@@ -1116,11 +1718,10 @@ class Dataset {
      * the version preceding that one,
      * and any version newer than that will be retained.
      *
-     * Returns the updated list of versions.
+     * Returns the updated list of versions. Throws an error if the dataset is being loaded.
      */
-    let conn
+    const conn = await this.lockForLoading(name)
     try {
-      conn = await DB.getConnection()
       let versionsToDelete = []
       let allVersions = await conn.query(`
         SELECT version, is__default AS isDefault FROM datasets
@@ -1148,7 +1749,7 @@ class Dataset {
     } catch (err) {
       Log.error(err)
     } finally {
-      if (conn.end) conn.end()
+      await this.unlock(conn)
     }
   }
 
@@ -1156,6 +1757,88 @@ class Dataset {
     const filter = name ? ` WHERE name = '${name}'` : ''
     return (connection || DB).query(`SELECT name, version, is__default FROM datasets${filter} ORDER BY name ASC, imported DESC;`)
   }
+
+  static async dropUnusedTables (name, tableNames, connection) {
+    /*
+     * Drop the tables with the given names that no version of the dataset uses, e.g. the tables
+     * of a load that was interrupted. The connection should hold the lock to load the dataset.
+     */
+    const usedTableNames = new Set(tableNamesOf(await connection.query(`SELECT name, version, definition FROM datasets WHERE name = '${name}';`)))
+    const unusedTableNames = tableNames.filter(tableName => !usedTableNames.has(tableName))
+    for (const tableName of unusedTableNames) {
+      await connection.query(`DROP TABLE IF EXISTS \`${tableName}\`;`)
+    }
+    return unusedTableNames
+  }
+
+  static async versionsWithCommit (name, hash) {
+    /*
+     * Return the versions of the dataset that were loaded from the git commit with the given hash.
+     */
+    const rows = await DB.query(`SELECT version FROM datasets WHERE name = '${name}' AND JSON_VALUE(definition, '$.commit.hash') = '${hash}' ORDER BY imported DESC;`)
+    return rows.map(row => row.version)
+  }
+
+  static async auditTables (minAge = 24) {
+    /*
+     * Compare the tables in the DB with the tables of all versions of all datasets.
+     *
+     * Returns an object with the "orphans", i.e. the tables that no version refers to, each with
+     * its tableName, size (in bytes) and created date, and the "incomplete" versions, i.e. the
+     * versions that refer to tables that do not exist, each with the name, version and missing tables.
+     * Orphans that were created less than minAge hours ago are ignored, as these may belong to a load in progress.
+     *
+     * Only tables with names like those of the tables of a dataset (see _getCollection() and Table.tableName),
+     * for a dataset that has versions, can be orphans. Views, and other tables in the DB, are left alone.
+     */
+    const conn = await DB.getConnection()
+    try {
+      const tables = await conn.query(`
+        SELECT table_name AS tableName, IFNULL(data_length, 0) + IFNULL(index_length, 0) AS size, create_time AS created, table_type AS tableType
+        FROM information_schema.tables WHERE table_schema = DATABASE();`)
+      const existing = new Set(tables.map(table => table.tableName))
+      const referenced = new Set(ServiceTables)
+      const incomplete = []
+      const records = await conn.query('SELECT name, version, definition FROM datasets ORDER BY name ASC, imported DESC;')
+      const prefixes = [...new Set(records.map(record => `${record.name}_`))]
+      const isDatasetTable = tableName => {
+        // the names of tables that would be longer than 64 characters are shortened to 24 characters and a hash
+        const shortened = /^.{24}[0-9a-f]{32}$/.test(tableName) ? tableName.slice(0, 24) : undefined
+        return prefixes.some(prefix => tableName.startsWith(prefix) || (shortened && (shortened.startsWith(prefix) || prefix.startsWith(shortened))))
+      }
+      for (const record of records) {
+        const ds = new Dataset(record.name, record.version)
+        ds.initialize(JSON.parse(record.definition))
+        const tableNames = ds.tableNames
+        tableNames.forEach(tableName => referenced.add(tableName))
+        const missing = tableNames.filter(tableName => !existing.has(tableName))
+        if (missing.length > 0) {
+          incomplete.push({ name: ds.name, version: ds.version, missing })
+        }
+      }
+      const cutOff = Moment.utc().subtract(minAge, 'hours')
+      const orphans = tables
+        .filter(table => table.tableType === 'BASE TABLE' && isDatasetTable(table.tableName) && !referenced.has(table.tableName))
+        .filter(table => !(table.created && Moment.utc(table.created).isAfter(cutOff)))
+        .map(table => ({ tableName: table.tableName, size: Number(table.size), created: table.created }))
+      return { orphans, incomplete }
+    } finally {
+      conn.end()
+    }
+  }
+
+  static async dropTables (tableNames) {
+    /*
+     * Drop the given tables, e.g. orphans found by auditTables. Returns the names of the dropped tables.
+     */
+    const dropped = []
+    for (const tableName of tableNames) {
+      await DB.query(`DROP TABLE IF EXISTS \`${tableName}\`;`)
+      Log.info(`Dropped ${tableName}`)
+      dropped.push(tableName)
+    }
+    return dropped
+  }
 }
 
 /*
@@ -1183,4 +1866,6 @@ DB.query(`CREATE TABLE datasets (
     }
   })
 
+Dataset.events = new EventEmitter() // emits 'removed' and 'changed' with the name and version of each deleted or updated dataset version
+
 module.exports = { Dataset }
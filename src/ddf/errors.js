@@ -15,6 +15,18 @@ class QueryError extends Error {
   static WrongOrderBy (query) {
     return new this(` Query 'order_by' is not acceptable`, 'QL_WRONG_ORDER_BY', query)
   }
+  static LimitNotSupported (query, mediaType) {
+    return new this(` Query 'limit' is not supported for ${mediaType}, which cannot show that the results were truncated`, 'QL_LIMIT_NOT_SUPPORTED', query)
+  }
+  static UnknownConcepts (query, suggestions) {
+    // suggestions should map each unknown concept to a (possibly empty) list of similar concepts
+    const concepts = Object.keys(suggestions).map(concept => {
+      return suggestions[concept].length > 0 ? `'${concept}' (did you mean '${suggestions[concept].join(`' or '`)}'?)` : `'${concept}'`
+    })
+    const error = new this(` Query refers to unknown concepts: ${concepts.join(', ')}`, 'QL_UNKNOWN_CONCEPTS', query)
+    error.suggestions = suggestions
+    return error
+  }
 }
 
 class QuerySyntaxError extends QueryError {
@@ -49,6 +61,24 @@ class QuerySyntaxError extends QueryError {
   static WrongWhere (query) {
     return new this(` Query 'where' is not acceptable`, 'QL_WRONG_WHERE', query)
   }
+  static WrongLimit (query) {
+    return new this(` Query 'limit' should be a positive integer`, 'QL_WRONG_LIMIT', query)
+  }
+  static WrongOffset (query) {
+    return new this(` Query 'offset' should be zero or a positive integer`, 'QL_WRONG_OFFSET', query)
+  }
+  static WrongCursor (query) {
+    return new this(` Query 'cursor' is not valid for this query or for this version of the dataset`, 'QL_WRONG_CURSOR', query)
+  }
+  static WrongGroupBy (query) {
+    return new this(` Query 'group_by' is not acceptable`, 'QL_WRONG_GROUP_BY', query)
+  }
+  static WrongAggregate (query) {
+    return new this(` Query 'aggregate' should specify sum, avg, min, max or count for each value`, 'QL_WRONG_AGGREGATE', query)
+  }
+  static WrongFormat (query) {
+    return new this(` Query 'format' is not acceptable`, 'QL_WRONG_FORMAT', query)
+  }
 }
 
 class SchemaError extends Error {
@@ -67,4 +97,35 @@ class SchemaError extends Error {
   }
 }
 
-module.exports = { QueryError, QuerySyntaxError, SchemaError }
+class LoadError extends Error {
+  constructor (message, code, resource, reason) {
+    super(message)
+    if (code) {
+      this.code = code
+    }
+    if (resource) {
+      this.resource = resource
+    }
+    if (reason) {
+      this.reason = reason
+    }
+  }
+
+  static ResourceFailed (resource, err) {
+    return new this(` Could not load ${resource}: ${err.message}`, 'DDF_LOAD_FAILED', resource, err.message)
+  }
+  static DatasetFailed (dataset, err) {
+    return new this(` Could not load ${dataset}: ${err.message}`, 'DDF_LOAD_FAILED', undefined, err.message)
+  }
+  static UnsafeArchive (archive, entry, problem = 'would be extracted outside of the target directory') {
+    return new this(` Archive ${archive} is unsafe, entry ${entry} ${problem}`, 'DDF_UNSAFE_ARCHIVE', archive, `entry ${entry} ${problem}`)
+  }
+  static ReservedName (dataset) {
+    return new this(` Cannot use "${dataset}" as the name of a dataset, it is reserved for the service`, 'DDF_RESERVED_NAME', undefined, 'the name is reserved')
+  }
+  static MissingDataPackage (archive) {
+    return new this(` Archive ${archive} does not contain a datapackage.json`, 'DDF_NO_DATAPACKAGE', archive, 'it does not contain a datapackage.json')
+  }
+}
+
+module.exports = { QueryError, QuerySyntaxError, SchemaError, LoadError }
@@ -0,0 +1,234 @@
+/**
+ * Export a version of a dataset to a DDF-CSV package, i.e. a directory with a datapackage.json,
+ * CSV files for the concepts, entities and datapoints, translations in lang/<id>, and the assets.
+ *
+ * The package is rebuilt from the schema and the tables of the version. It has the same data as the
+ * package the version was loaded from, but the files can differ: there is one file for the entities
+ * of each domain, and one file for each indicator.
+ */
+const FS = require('fs')
+const Path = require('path')
+const { Transform, pipeline } = require('stream')
+const { promisify } = require('util')
+
+const JSONFile = require('jsonfile')
+
+const { DB } = require('../maria')
+const { Table } = require('../collections')
+const CloudStore = require('../cloud-storage')
+
+const Log = require('../log')('export')
+
+const PackageFile = 'datapackage.json'
+const TranslatedColumn = /^_(.+)--(.+)$/ // e.g. "_name--nl-nl", see Table._updateSchemaWith()
+
+function csvField (value, sqlType) {
+  // Return the value as a field of a CSV record
+  if (value === null || value === undefined) {
+    return ''
+  } else if (sqlType === 'BOOLEAN') {
+    return value ? 'TRUE' : 'FALSE'
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class PackageExporter {
+  constructor (dataset, dirPath) {
+    this.dataset = dataset
+    this.directory = dirPath.endsWith('/') ? dirPath.slice(0, -1) : dirPath
+    this.resources = []
+    this.languages = new Set()
+    this.assets = []
+    this._resourcesByTable = new Map() // definition of a table in the schema => Map of column => resource name
+  }
+
+  async export () {
+    /*
+     * Write the package and return a summary of what was exported.
+     * Refuses to write into a directory that is not empty.
+     */
+    await FS.promises.mkdir(this.directory, { recursive: true })
+    if ((await FS.promises.readdir(this.directory)).length > 0) {
+      throw new Error(`${this.directory} is not empty`)
+    }
+    const schema = this.dataset.schema
+    const connection = await DB.getConnection()
+    try {
+      for (const kind of ['concepts', 'entities', 'datapoints']) {
+        for (const key in schema[kind]) {
+          const def = schema[kind][key]
+          if (def && def.table) {
+            const table = typeof def.table.sqlFor === 'function' ? def.table : Table.specifiedBy(def.table)
+            await this._exportTable(connection, kind, key.split('$'), table, def)
+          }
+        }
+      }
+    } finally {
+      connection.end()
+    }
+    await this._exportAssets()
+    await JSONFile.writeFile(`${this.directory}/${PackageFile}`, this.dataPackage, { spaces: 2 })
+    Log.info(`Exported ${this.dataset.name}.${this.dataset.version} to ${this.directory}`)
+    return {
+      directory: this.directory,
+      resources: this.resources.length,
+      translations: this.languages.size,
+      assets: this.assets.length
+    }
+  }
+
+  get dataPackage () {
+    const dataPackage = {
+      name: this.dataset.name,
+      version: this.dataset.version
+    }
+    if (this.dataset.language) {
+      dataPackage.language = { id: this.dataset.language }
+    }
+    if (this.languages.size > 0) {
+      dataPackage.translations = [...this.languages].sort().map(id => ({ id }))
+    }
+    dataPackage.resources = this.resources
+    dataPackage.ddfSchema = this.ddfSchema
+    return dataPackage
+  }
+
+  get ddfSchema () {
+    /*
+     * Return the ddfSchema for the datapackage.json, with the keys and values that
+     * the schema of the dataset has, and the exported resources for each of these.
+     */
+    const schema = this.dataset.schema
+    const ddfSchema = {}
+    for (const kind of ['concepts', 'entities', 'datapoints']) {
+      ddfSchema[kind] = []
+      for (const key in schema[kind]) {
+        const primaryKey = key.split('$')
+        const resources = this._resourcesByTable.get(schema.definitionFor(kind, primaryKey)) || new Map()
+        for (const value of schema[kind][key].values || []) {
+          const resource = resources.get(value)
+          if (resource) {
+            ddfSchema[kind].push({ primaryKey, value, resources: [resource] })
+          } else {
+            Log.warn(`There is no exported resource for ${value} of ${kind} ${primaryKey.join(', ')}`)
+          }
+        }
+      }
+    }
+    ddfSchema.synonyms = []
+    return ddfSchema
+  }
+
+  _columnsOf (table, key) {
+    /*
+     * Return the names of the (value) columns of the table, and for each language the
+     * names of the columns with translations, i.e. the ones that were loaded from lang/<id>.
+     */
+    const values = new Set()
+    const translations = {}
+    for (const subTable of table.tables || [table]) {
+      const auxillaryColumns = subTable.auxillaryColumns
+      const schemaNames = Object.entries(subTable.mappedColumns).reduce((names, [name, column]) => {
+        names[column] = name
+        return names
+      }, {})
+      for (const column of Object.keys(subTable._schema)) {
+        const name = schemaNames[column] || column
+        if (key.includes(name) || auxillaryColumns.includes(column)) {
+          continue
+        }
+        const translated = TranslatedColumn.exec(name)
+        if (translated) {
+          const [, value, language] = translated
+          translations[language] = Object.assign(translations[language] || {}, { [value]: name })
+        } else {
+          values.add(name)
+        }
+      }
+    }
+    return { values: [...values].sort(), translations }
+  }
+
+  async _exportTable (connection, kind, key, table, def) {
+    const { values, translations } = this._columnsOf(table, key)
+    const resources = new Map()
+    this._resourcesByTable.set(def, resources)
+    // each indicator has its own file, entities and concepts have one file for all values
+    const files = kind === 'datapoints'
+      ? values.map(value => ({ name: `ddf--datapoints--${value}--by--${key.join('--')}`, values: [value] }))
+      : [{ name: kind === 'concepts' ? 'ddf--concepts' : `ddf--entities--${key.join('--')}`, values }]
+    for (const file of files) {
+      const path = `${file.name}.csv`
+      const filters = kind === 'datapoints' ? [{ [file.values[0]]: { $ne: null } }] : []
+      const rows = await this._writeCSV(connection, path, table, key, file.values, filters)
+      this.resources.push({
+        name: file.name,
+        path,
+        schema: { fields: [...key, ...file.values].map(name => ({ name })), primaryKey: key }
+      })
+      if (kind === 'entities') {
+        resources.set(null, file.name) // entity sets without properties
+      }
+      file.values.forEach(value => resources.set(value, file.name))
+      Log.info(`Exported ${rows} records of ${table.name} to ${path}`)
+
+      for (const language in translations) {
+        const translatedValues = file.values.filter(value => translations[language][value])
+        if (translatedValues.length === 0) {
+          continue
+        }
+        const columns = translatedValues.map(value => translations[language][value])
+        await FS.promises.mkdir(`${this.directory}/lang/${language}`, { recursive: true })
+        await this._writeCSV(connection, `lang/${language}/${path}`, table, key, columns,
+          [{ $or: columns.map(column => ({ [column]: { $ne: null } })) }], translatedValues)
+        this.languages.add(language)
+      }
+    }
+  }
+
+  async _writeCSV (connection, path, table, key, columns, filters = [], header = columns) {
+    /*
+     * Write the key and the given columns of all records of the table that pass the filters
+     * to a CSV file, and return the number of records.
+     */
+    const sql = table.sqlFor({ projection: [...key, ...columns], joins: [], filters, sort: key.map(column => ({ [column]: 'asc' })) })
+    const sqlTypes = [...key, ...columns].map(column => table.sqlTypeFor(column))
+    let rows = 0
+    const toCSV = new Transform({
+      writableObjectMode: true,
+      transform (record, encoding, callback) {
+        rows += 1
+        callback(null, `${record.map((value, i) => csvField(value, sqlTypes[i])).join(',')}\n`)
+      }
+    })
+    toCSV.push(`${[...key, ...header].map(name => csvField(name)).join(',')}\n`)
+    Log.debug(sql)
+    await promisify(pipeline)(connection.queryStream({ sql, rowsAsArray: true }), toCSV, FS.createWriteStream(`${this.directory}/${path}`))
+    return rows
+  }
+
+  async _exportAssets () {
+    // Download the assets of the version from the CloudStore
+    const prefix = `${this.dataset.name}/${this.dataset.version}/`
+    const remoteNames = await CloudStore.list(prefix)
+    if (remoteNames.length === 0) {
+      return
+    }
+    await FS.promises.mkdir(`${this.directory}/assets`, { recursive: true })
+    await Promise.all(remoteNames.map(async remoteName => {
+      const asset = remoteName.slice(prefix.length)
+      await CloudStore.download(remoteName, Path.join(this.directory, 'assets', asset))
+      this.assets.push(asset)
+    }))
+  }
+}
+
+function exportDataset (dataset, dirPath) {
+  /*
+   * Return a Promise for the summary of the export of the dataset (version) to a DDF-CSV package in the given directory.
+   */
+  return new PackageExporter(dataset, dirPath).export()
+}
+
+module.exports = { PackageExporter, exportDataset }
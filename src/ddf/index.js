@@ -1,7 +1,7 @@
-const { Query, RecordPrinter } = require('./queries')
+const { Query, RecordPrinter, Printers } = require('./queries')
 const { Dataset } = require('./datasets')
-const { QueryError, QuerySyntaxError } = require('./errors')
+const { QueryError, QuerySyntaxError, LoadError } = require('./errors')
 
 module.exports = {
-  Query, RecordPrinter, Dataset, QueryError, QuerySyntaxError
+  Query, RecordPrinter, Printers, Dataset, QueryError, QuerySyntaxError, LoadError
 }
@@ -1,5 +1,8 @@
+const Crypto = require('crypto')
 const { Readable, Transform } = require('stream')
 
+const Arrow = require('apache-arrow')
+
 const { QuerySyntaxError } = require('./errors.js')
 
 const Log = require('../log')('queries')
@@ -54,10 +57,121 @@ class Query {
       }
       this.order_by = normalizedOrderBy
     }
+    if (this.format !== undefined && Object.keys(Printers).includes(this.format) !== true) {
+      throw QuerySyntaxError.WrongFormat(this)
+    }
+    if (this.limit !== undefined && !(Number.isInteger(this.limit) && this.limit > 0)) {
+      throw QuerySyntaxError.WrongLimit(this)
+    }
+    if (this.offset !== undefined && !(Number.isInteger(this.offset) && this.offset >= 0)) {
+      throw QuerySyntaxError.WrongOffset(this)
+    }
+    if (this.group_by !== undefined) {
+      if (this.group_by === null || typeof this.group_by !== 'object' ||
+        Object.keys(this.group_by).some(k => this.select.key.includes(k) !== true || typeof this.group_by[k] !== 'string')) {
+        throw QuerySyntaxError.WrongGroupBy(this)
+      }
+    }
+    if (this.isAggregated) {
+      // every value should be aggregated
+      const aggregate = this.aggregate || {}
+      if (typeof aggregate !== 'object' || Object.keys(aggregate).some(v => this.select.value.includes(v) !== true) ||
+        this.select.value.some(v => ['sum', 'avg', 'min', 'max', 'count'].includes(aggregate[v]) !== true)) {
+        throw QuerySyntaxError.WrongAggregate(this)
+      }
+    }
+    if (this.cursor !== undefined) {
+      this._resolveCursor()
+    }
+  }
+
+  get digest () {
+    /*
+     * Return a hash of the parts of this query that determine which results
+     * there are, and in what order.
+     */
+    const parts = [this.language, [...this.select.key].sort(), [...this.select.value].sort(), this.from, this.where, this.join, this.group_by, this.aggregate, this.order_by]
+    return Crypto.createHash('md5').update(JSON.stringify(parts)).digest('hex')
+  }
+
+  cursorAt (offset, version) {
+    /*
+     * Return an opaque string that can be used as the 'cursor' of this query
+     * to obtain the results from the given offset onwards.
+     */
+    const position = JSON.stringify({ version, offset, digest: this.digest })
+    return Buffer.from(position).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+  }
+
+  _resolveCursor () {
+    /*
+     * Set the offset of this query to the position given by the cursor.
+     * The version of the dataset for which the cursor is valid will be
+     * available as the 'cursorVersion' of this query.
+     */
+    let position
+    try {
+      position = JSON.parse(Buffer.from(this.cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString())
+    } catch (err) {
+      throw QuerySyntaxError.WrongCursor(this)
+    }
+    if (!position || position.digest !== this.digest || Number.isInteger(position.offset) !== true) {
+      throw QuerySyntaxError.WrongCursor(this)
+    }
+    this.offset = position.offset
+    Object.defineProperty(this, 'cursorVersion', { value: position.version })
+  }
+
+  canonicalForm () {
+    /*
+     * Return a string that is the same for queries that are equivalent,
+     * regardless of the order of properties and of implicit $eq operators.
+     */
+    const normalizedWhere = (where) => {
+      return Object.keys(where || {}).reduce((normalized, column) => {
+        const condition = where[column]
+        if (['$and', '$or', '$nor'].includes(column) && Array.isArray(condition)) {
+          normalized[column] = condition.map(normalizedWhere)
+        } else if (condition === null || typeof condition === 'object' || (typeof condition === 'string' && condition.startsWith('$'))) {
+          normalized[column] = condition
+        } else {
+          normalized[column] = { $eq: condition }
+        }
+        return normalized
+      }, {})
+    }
+    const sorted = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(sorted)
+      } else if (value !== null && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((obj, key) => {
+          obj[key] = sorted(value[key])
+          return obj
+        }, {})
+      }
+      return value
+    }
+    const parts = Object.assign({}, this)
+    if (this.where) {
+      parts.where = normalizedWhere(this.where)
+    }
+    if (this.join) {
+      parts.join = Object.keys(this.join).reduce((join, joinOn) => {
+        join[joinOn] = Object.assign({}, this.join[joinOn], { where: normalizedWhere(this.join[joinOn].where) })
+        return join
+      }, {})
+    }
+    return JSON.stringify(sorted(parts))
   }
 
   get header () {
-    return [...this.select.key, ...this.select.value]
+    // in aggregation queries key columns that are grouped are named after the target of the group
+    const groupBy = this.group_by || {}
+    return [...this.select.key.map(k => groupBy[k] || k), ...this.select.value]
+  }
+
+  get isAggregated () {
+    return this.group_by !== undefined || this.aggregate !== undefined
   }
 
   get isForEntities () {
@@ -78,6 +192,9 @@ class RecordPrinter extends Transform {
   constructor (query, filterNullRecords = false) {
     /*
     * Return a Transform stream that can pipe records (Object instances) to a stringified (textual) JSON array representation.
+    *
+    * Subclasses can print records in other formats by overriding the
+    * _pushPreamble, _pushRecord and _pushPostamble methods.
     */
     super(
       {
@@ -98,30 +215,83 @@ class RecordPrinter extends Transform {
     this._version = version
   }
 
+  set sqlTypes (types) {
+    // the SQL types of the columns, in the order of the header of the query
+    this._sqlTypes = types
+  }
+
+  _pushPreamble () {
+    this.push('{\n')
+    if (this._version) {
+      this.push(`"version":"${this._version}",\n`)
+    }
+    if (this.query.header) {
+      this.push(`"header":${JSON.stringify(this.query.header)},\n`)
+    }
+    this.push(`"rows": [\n`)
+  }
+
+  _pushRecord (record) {
+    this.push(`${this.recordCounter ? ',' : ''}${JSON.stringify(record)}`)
+  }
+
+  fail (message, status) {
+    /*
+     * End the output early, with the given error in the postamble. This is for errors that
+     * occur when the preamble, and possibly some records, have already been sent.
+     */
+    this._failure = { error: message, status }
+    this.end()
+  }
+
+  get failed () {
+    return this._failure !== undefined
+  }
+
+  get nextCursor () {
+    // Return the cursor for the next results, if the results were truncated because of the limit of the query
+    if (this._truncated) {
+      return this.query.cursorAt((this.query.offset || 0) + this.query.limit, this._version)
+    }
+  }
+
+  _pushPostamble () {
+    this.push(`\n]`)
+    if (this.nextCursor) {
+      this.push(`,"next":"${this.nextCursor}"`)
+    }
+    if (this._failure) {
+      this.push(`,"error":${JSON.stringify(this._failure.error)},"status":${this._failure.status}`)
+    }
+    const log = this.query.log
+    if (log) {
+      Object.keys(log).forEach(logLevel => {
+        this.push(`,"${logLevel}":${JSON.stringify(log[logLevel])}`)
+      })
+    }
+    this.push('}')
+  }
+
   _transform (record, encoding, callback) {
     try {
       if (!this._preamblePushed) {
         this._preamblePushed = true
-        this.push('{\n')
-        if (this._version) {
-          this.push(`"version":"${this._version}",\n`)
-        }
-        if (this.query.header) {
-          this.push(`"header":${JSON.stringify(this.query.header)},\n`)
-        }
-        this.push(`"rows": [\n`)
+        this._pushPreamble()
       }
-      if (this.filterNullRecords) {
+      if (this.query.limit && this.recordCounter >= this.query.limit) {
+        // the query is answered with one more record than the limit, which indicates that there are more results
+        this._truncated = true
+      } else if (this.filterNullRecords) {
         // don't push a record that only contains null values
         for (let idx = this._firstValueIndex; idx < record.length; idx++) {
           if (record[idx] !== null) {
-            this.push(`${this.recordCounter ? ',' : ''}${JSON.stringify(record)}`)
+            this._pushRecord(record)
             this.recordCounter += 1
             break
           }
         }
       } else {
-        this.push(`${this.recordCounter ? ',' : ''}${JSON.stringify(record)}`)
+        this._pushRecord(record)
         this.recordCounter += 1
       }
       callback()
@@ -133,14 +303,11 @@ class RecordPrinter extends Transform {
 
   _flush (callback) {
     try {
-      this.push(`\n]`)
-      const log = this.query.log
-      if (log) {
-        Object.keys(log).forEach(logLevel => {
-          this.push(`,"${logLevel}":${JSON.stringify(log[logLevel])}`)
-        })
+      if (!this._preamblePushed) {
+        this._preamblePushed = true
+        this._pushPreamble()
       }
-      this.push('}')
+      this._pushPostamble()
       return callback()
     } catch (err) {
       Log.error(err)
@@ -148,6 +315,193 @@ class RecordPrinter extends Transform {
     }
   }
 }
+RecordPrinter.mediaType = 'application/json'
+RecordPrinter.canReportErrors = true // i.e. the format has a place for an error after (some of) the records
+RecordPrinter.canReportTruncation = true // i.e. the format has a place for the cursor of the next results
+
+class CSVPrinter extends RecordPrinter {
+  /*
+   * Print records as RFC 4180 CSV, with the header of the query as the first line.
+   *
+   * As CSV has no place for the version of the dataset, or for the log of the query,
+   * the HTTP service should convey the version in a response header.
+   */
+  _pushPreamble () {
+    if (this.query.header) {
+      this.push(`${this.query.header.map(CSVPrinter.field).join(',')}\r\n`)
+    }
+  }
+
+  _pushRecord (record) {
+    if (record.length > 0) { // an empty result is represented by a single empty record
+      this.push(`${record.map(CSVPrinter.field).join(',')}\r\n`)
+    }
+  }
+
+  _pushPostamble () {}
+
+  static field (value) {
+    /*
+     * Return the given value as a CSV field, quoted if needed.
+     */
+    let text
+    if (value === null || value === undefined) {
+      return ''
+    } else if (typeof value === 'boolean') {
+      text = value ? 'TRUE' : 'FALSE'
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value) // e.g. the key of a schema query
+    } else {
+      text = String(value)
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+}
+CSVPrinter.mediaType = 'text/csv'
+CSVPrinter.canReportErrors = false
+CSVPrinter.canReportTruncation = false
+
+class NDJSONPrinter extends RecordPrinter {
+  /*
+   * Print records as newline delimited JSON, one array per row. This allows clients to
+   * process rows as they come in.
+   *
+   * The first line is an object with the version and the header,
+   * the last line is an object with the log of the query (if any), and
+   * with the cursor for the next results if the results were truncated.
+   */
+  _pushPreamble () {
+    const metadata = {}
+    if (this._version) {
+      metadata.version = this._version
+    }
+    if (this.query.header) {
+      metadata.header = this.query.header
+    }
+    this.push(`${JSON.stringify(metadata)}\n`)
+  }
+
+  _pushRecord (record) {
+    if (record.length > 0) { // an empty result is represented by a single empty record
+      this.push(`${JSON.stringify(record)}\n`)
+    }
+  }
+
+  _pushPostamble () {
+    const trailer = Object.assign({}, this.query.log)
+    if (this.nextCursor) {
+      trailer.next = this.nextCursor
+    }
+    if (this._failure) {
+      Object.assign(trailer, this._failure)
+    }
+    this.push(`${JSON.stringify(trailer)}\n`)
+  }
+}
+NDJSONPrinter.mediaType = 'application/x-ndjson'
+
+class ArrowPrinter extends RecordPrinter {
+  /*
+   * Print records as an Apache Arrow IPC stream of record batches.
+   *
+   * The types of the columns are taken from the SQL types, if known, and
+   * are otherwise inferred from the first record.
+   */
+  _pushPreamble (record = []) {
+    const fields = this.query.header.map((name, idx) => {
+      return Arrow.Field.new(name, ArrowPrinter.arrowType((this._sqlTypes || [])[idx], record[idx]), true)
+    })
+    this._schema = new Arrow.Schema(fields, new Map(this._version ? [['version', this._version]] : []))
+    this._builders = fields.map(field => Arrow.Builder.new({ type: field.type, nullValues: [null, undefined] }))
+    this._batchLength = 0
+    this._writer = new Arrow.RecordBatchStreamWriter()
+    this._output = this._writer.toNodeStream()
+    this._output.on('data', chunk => this.push(chunk))
+    this._writer.reset(undefined, this._schema)
+  }
+
+  _pushRecord (record) {
+    if (record.length < 1) { // an empty result is represented by a single empty record
+      return
+    }
+    record.forEach((value, idx) => {
+      const builder = this._builders[idx]
+      builder.append(builder.type instanceof Arrow.Utf8 && value !== null && typeof value !== 'string' ? JSON.stringify(value) : value)
+    })
+    this._batchLength += 1
+    if (this._batchLength >= ArrowPrinter.BatchSize) {
+      this._writeBatch()
+    }
+  }
+
+  _writeBatch () {
+    if (this._batchLength > 0) {
+      const columns = this._builders.map(builder => builder.flush())
+      this._writer.write(new Arrow.RecordBatch(this._schema, this._batchLength, columns))
+      this._batchLength = 0
+    }
+  }
+
+  _transform (record, encoding, callback) {
+    if (!this._preamblePushed) {
+      // the preamble needs the first record to infer the types of columns for which the SQL type is unknown
+      try {
+        this._preamblePushed = true
+        this._pushPreamble(record)
+      } catch (err) {
+        Log.error(err)
+        return callback(err)
+      }
+    }
+    super._transform(record, encoding, callback)
+  }
+
+  _flush (callback) {
+    try {
+      if (!this._preamblePushed) {
+        this._preamblePushed = true
+        this._pushPreamble()
+      }
+      this._writeBatch()
+      this._output.once('end', () => callback())
+      this._output.once('error', err => callback(err))
+      this._writer.finish() // this will also end the output
+    } catch (err) {
+      Log.error(err)
+      return callback(err)
+    }
+  }
+
+  static arrowType (sqlType, sampleValue) {
+    if (['TINYINT', 'INTEGER'].includes(sqlType)) {
+      return new Arrow.Int32()
+    } else if (['BIGINT', 'DOUBLE', 'FLOAT'].includes(sqlType)) {
+      return new Arrow.Float64() // numbers in JavaScript are doubles anyway
+    } else if (sqlType === 'BOOLEAN') {
+      return new Arrow.Bool()
+    } else if (sqlType === undefined && typeof sampleValue === 'number') {
+      return new Arrow.Float64()
+    } else if (sqlType === undefined && typeof sampleValue === 'boolean') {
+      return new Arrow.Bool()
+    }
+    return new Arrow.Utf8()
+  }
+}
+ArrowPrinter.mediaType = 'application/vnd.apache.arrow.stream'
+ArrowPrinter.canReportErrors = false
+ArrowPrinter.canReportTruncation = false
+ArrowPrinter.BatchSize = 10000
+
+/*
+ * The available printers, by the name of the format that can be given in a query.
+ * The first one is the default.
+ */
+const Printers = {
+  json: RecordPrinter,
+  csv: CSVPrinter,
+  ndjson: NDJSONPrinter,
+  arrow: ArrowPrinter
+}
 
 class ArrayStream extends Readable {
   constructor (anArray = [], options = {}) {
@@ -170,5 +524,9 @@ class ArrayStream extends Readable {
 module.exports = {
   Query,
   RecordPrinter,
+  CSVPrinter,
+  NDJSONPrinter,
+  ArrowPrinter,
+  Printers,
   ArrayStream
 }
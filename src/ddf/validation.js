@@ -0,0 +1,263 @@
+/**
+ * Consistency checks of a DDF package, i.e. a directory with a datapackage.json and DDFcsv files,
+ * to find problems before any table is created for it.
+ *
+ * The checks do not need the DB. Each issue is reported with the file, and where possible the line,
+ * that it was found in.
+ */
+const FS = require('fs')
+
+const CSVParser = require('csv-parse')
+
+const Log = require('../log')('validation')
+
+const PackageFile = 'datapackage.json'
+
+function lineOf (text, token) {
+  // Return the (1-based) number of the first line of the text that has the token, if any
+  const index = text.indexOf(token)
+  return index < 0 ? undefined : text.slice(0, index).split('\n').length
+}
+
+function asArray (key) {
+  return Array.isArray(key) ? key : [key]
+}
+
+function readCSV (path, onRecord) {
+  /*
+   * Parse the CSV file and call onRecord with each record and the line number of that record.
+   * Returns a Promise that resolves when all records have been processed.
+   */
+  return new Promise((resolve, reject) => {
+    const parser = CSVParser({ columns: true, trim: true, info: true, skip_empty_lines: true })
+    parser.on('readable', () => {
+      let item
+      while ((item = parser.read()) !== null) {
+        onRecord(item.record, item.info.lines)
+      }
+    })
+    parser.on('error', err => reject(err))
+    parser.on('end', () => resolve())
+    const csvFile = FS.createReadStream(path)
+    csvFile.on('error', err => reject(err))
+    csvFile.pipe(parser)
+  })
+}
+
+class PackageValidator {
+  constructor (dirPath, maxIssues = 1000) {
+    this.directory = dirPath.endsWith('/') ? dirPath.slice(0, -1) : dirPath
+    this.maxIssues = maxIssues
+    this.issues = []
+    this.truncated = false
+    this._concepts = new Map() // concept => { conceptType, domain, file, line }
+    this._entities = new Map() // entity domain => Set of entity ids
+  }
+
+  report (check, message, file, line = undefined) {
+    if (this.issues.length >= this.maxIssues) {
+      this.truncated = true
+      return
+    }
+    const issue = { check, file, message }
+    if (line) {
+      issue.line = line
+    }
+    this.issues.push(issue)
+  }
+
+  async validate () {
+    /*
+     * Run all checks and return the report, a plain object with the directory, whether the package
+     * is valid, and the list of issues.
+     */
+    let packageText, dataPackage
+    try {
+      packageText = await FS.promises.readFile(`${this.directory}/${PackageFile}`, 'utf8')
+    } catch (err) {
+      this.report('package', `Cannot read: ${err.message}`, PackageFile)
+      return this.toJSON()
+    }
+    try {
+      dataPackage = JSON.parse(packageText)
+    } catch (err) {
+      this.report('package', `Cannot parse: ${err.message}`, PackageFile)
+      return this.toJSON()
+    }
+    if (!dataPackage.ddfSchema) {
+      this.report('package', 'There is no ddfSchema', PackageFile)
+      return this.toJSON()
+    }
+    const resources = this._checkResources(dataPackage, packageText)
+    this._checkSchemaResources(dataPackage.ddfSchema, resources, packageText)
+    const resourcesFor = kind => [...new Set((dataPackage.ddfSchema[kind] || []).reduce((names, def) => names.concat(def.resources || []), []))]
+      .map(name => resources[name])
+      .filter(resource => resource && resource.exists)
+
+    for (const resource of resourcesFor('concepts')) {
+      await this._scan(resource, (record, line) => {
+        if (record.concept && !this._concepts.has(record.concept)) {
+          this._concepts.set(record.concept, { conceptType: record.concept_type, domain: record.domain, file: resource.file, line })
+        }
+      })
+    }
+    this._checkSchemaConcepts(dataPackage.ddfSchema, packageText)
+    this._checkDomains()
+
+    for (const resource of resourcesFor('entities')) {
+      const keyColumn = resource.key[0]
+      const ids = this._idsOf(this.domainOf(keyColumn) || keyColumn)
+      await this._scan(resource, record => {
+        ids.add(String(record[keyColumn]))
+      })
+    }
+    for (const resource of resourcesFor('datapoints')) {
+      const entityColumns = resource.key.filter(column => this.domainOf(column))
+      await this._scan(resource, (record, line) => {
+        for (const column of entityColumns) {
+          const id = String(record[column])
+          const domain = this.domainOf(column)
+          if (!this._idsOf(domain).has(id)) {
+            this.report('entity-unknown', `"${id}" is not an entity of ${domain}`, resource.file, line)
+          }
+        }
+      })
+    }
+    Log.info(`Found ${this.issues.length}${this.truncated ? '+' : ''} issues in ${this.directory}`)
+    return this.toJSON()
+  }
+
+  domainOf (concept) {
+    /*
+     * Return the entity domain of the concept, or undefined if the concept is not an entity domain,
+     * entity set or role.
+     */
+    const def = this._concepts.get(concept)
+    if (!def) {
+      return undefined
+    }
+    if (def.conceptType === 'entity_domain') {
+      return concept
+    }
+    return ['entity_set', 'role'].includes(def.conceptType) ? def.domain : undefined
+  }
+
+  _idsOf (domain) {
+    if (!this._entities.has(domain)) {
+      this._entities.set(domain, new Set())
+    }
+    return this._entities.get(domain)
+  }
+
+  _checkResources (dataPackage, packageText) {
+    // Return the resources by name, and report those whose file does not exist
+    const resources = {}
+    for (const resource of dataPackage.resources || []) {
+      const exists = FS.existsSync(`${this.directory}/${resource.path}`)
+      if (!exists) {
+        this.report('resource-missing', `Resource ${resource.name} refers to ${resource.path}, which does not exist`,
+          PackageFile, lineOf(packageText, `"${resource.path}"`))
+      }
+      resources[resource.name] = {
+        name: resource.name,
+        file: resource.path,
+        key: asArray((resource.schema || {}).primaryKey || []),
+        exists
+      }
+    }
+    return resources
+  }
+
+  _checkSchemaResources (ddfSchema, resources, packageText) {
+    // Report the resources in the ddfSchema that are not declared in the resources of the package
+    const reported = new Set()
+    for (const kind of ['concepts', 'entities', 'datapoints']) {
+      for (const def of ddfSchema[kind] || []) {
+        for (const name of def.resources || []) {
+          if (resources[name] || reported.has(name)) {
+            continue
+          }
+          reported.add(name)
+          this.report('resource-missing', `Resource ${name} is used in the ddfSchema but is not declared`,
+            PackageFile, lineOf(packageText, `"${name}"`))
+        }
+      }
+    }
+  }
+
+  _checkSchemaConcepts (ddfSchema, packageText) {
+    // Report the keys and values of entities and datapoints in the ddfSchema that are not defined as concepts
+    const reported = new Set()
+    for (const kind of ['entities', 'datapoints']) {
+      for (const def of ddfSchema[kind] || []) {
+        for (const concept of [...asArray(def.primaryKey), def.value]) {
+          if (!concept || concept.startsWith('is--') || this._concepts.has(concept) || reported.has(concept)) {
+            continue
+          }
+          reported.add(concept)
+          this.report('concept-undefined', `Concept ${concept} is used in the ddfSchema but is not defined`,
+            PackageFile, lineOf(packageText, `"${concept}"`))
+        }
+      }
+    }
+  }
+
+  _checkDomains () {
+    // Report entity sets and roles that do not refer to an entity domain
+    for (const [concept, def] of this._concepts) {
+      if (!['entity_set', 'role'].includes(def.conceptType)) {
+        continue
+      }
+      if (!def.domain) {
+        this.report('domain-missing', `The ${def.conceptType} ${concept} does not have a domain`, def.file, def.line)
+        continue
+      }
+      const domain = this._concepts.get(def.domain)
+      if (!domain || domain.conceptType !== 'entity_domain') {
+        this.report('domain-invalid', `The domain of ${concept}, ${def.domain}, is not an entity domain`, def.file, def.line)
+      }
+    }
+  }
+
+  async _scan (resource, onRecord) {
+    // Read all records of the resource, and report duplicate primary keys
+    const firstLines = new Map() // primary key => line
+    try {
+      await readCSV(`${this.directory}/${resource.file}`, (record, line) => {
+        if (resource.key.length > 0) {
+          const key = resource.key.map(column => record[column]).join('\u0000')
+          if (firstLines.has(key)) {
+            this.report('duplicate-key', `Duplicate key ${resource.key.map(column => `${column}=${record[column]}`).join(', ')}, first on line ${firstLines.get(key)}`,
+              resource.file, line)
+          } else {
+            firstLines.set(key, line)
+          }
+        }
+        onRecord(record, line)
+      })
+    } catch (err) {
+      this.report('csv', err.message, resource.file, err.lines)
+    }
+  }
+
+  toJSON () {
+    const report = {
+      directory: this.directory,
+      valid: this.issues.length === 0,
+      issues: this.issues
+    }
+    if (this.truncated) {
+      report.truncated = true
+    }
+    return report
+  }
+}
+
+function validatePackage (dirPath, maxIssues) {
+  /*
+   * Return a Promise for the report of all issues found in the DDF package in the given directory.
+   */
+  return new PackageValidator(dirPath, maxIssues).validate()
+}
+
+module.exports = { PackageValidator, validatePackage }
@@ -17,16 +17,25 @@ function getEnvironmentVariable (key, _default) {
 const envVars = [
   { name: 'LogLevel', envVar: 'LOG_LEVEL', _default: 'info' }, // one of 'trace', 'debug', 'info', 'warn', 'error', 'fatal'
   { name: 'MaintenanceMode', envVar: 'MAINTENANCE_MODE', _default: false },
+  { name: 'MaintenanceRetryAfter', envVar: 'MAINTENANCE_RETRY_AFTER', _default: 300 }, // in seconds, for clients that are refused during maintenance
   { name: 'CPUThrottle', envVar: 'CPU_THROTTLE', _default: 200 }, // set to 0 to disable
   { name: 'DBThrottle', envVar: 'DB_THROTTLE', _default: 5 }, // set to 0 to disable
   { name: 'ExternalLogger', envVar: 'EXTERNAL_LOG', _default: 'none' }, // Could be 'Google Cloud', etc.
   { name: 'HTTPPort', envVar: 'HTTP_PORT', _default: 80 },
+  { name: 'AdminPort', envVar: 'ADMIN_PORT', _default: 0 }, // 0 to serve the admin API on the HTTP_PORT
+  { name: 'AdminUser', envVar: 'ADMIN_USER', _default: 'admin' },
+  { name: 'AdminPassword', envVar: 'ADMIN_PWD' }, // without a password there is no admin API
+  { name: 'AdminMaxUpload', envVar: 'ADMIN_MAX_UPLOAD', _default: 1024 * 1024 * 1024 }, // in bytes, the largest archive that can be uploaded to the admin API
+  { name: 'DrainDelay', envVar: 'DRAIN_DELAY', _default: 5 }, // in seconds, between SIGTERM and closing the HTTP server
   { name: 'AllowCaching', envVar: 'CACHE_ALLOW', _default: true },
+  { name: 'ResultCacheSize', envVar: 'RESULT_CACHE_SIZE', _default: 64 * 1024 * 1024 }, // in bytes, per worker. Set to 0 to disable
+  { name: 'ResultCacheMaxEntry', envVar: 'RESULT_CACHE_MAX_ENTRY', _default: 1024 * 1024 }, // in bytes, larger results are not cached
   { name: 'DBHost', envVar: 'DB_HOST', _default: 'localhost' },
   { name: 'DBUser', envVar: 'DB_USER', _default: '__USER__' },
   { name: 'DBPassword', envVar: 'DB_PWD' },
   { name: 'DBSocketPath', envVar: 'DB_SOCKET_PATH', _default: '/var/run/mysqld/mysqld.sock' },
   { name: 'DbConnectionTimeout', envVar: 'DB_CONNECTION_TIMEOUT', _default: 5 }, // in seconds
+  { name: 'QueryTimeout', envVar: 'QUERY_TIMEOUT', _default: 60 }, // in seconds, set to 0 to allow queries to run for as long as they take
   { name: 'DBName', envVar: 'DB_NAME', _default: 'gapminder' },
   { name: 'ReservedCPUs', envVar: 'RESERVED_CPUS', _default: 4 },
   { name: 'AssetStore', envVar: 'ASSET_STORE', _default: 'GCS' }, // one of ['GCS'] (and later perhaps S3, etc.)
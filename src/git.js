@@ -0,0 +1,98 @@
+/**
+ * Load DDF datasets from (local) git repositories, such as the open-numbers datasets.
+ *
+ * A given ref is checked out into a temporary directory, so the repository itself is not changed.
+ */
+const { execFile } = require('child_process')
+
+const Moment = require('moment')
+const Tmp = require('tmp')
+
+const { Dataset } = require('./ddf/datasets')
+const Log = require('./log')('git')
+
+function git (args, cwd = undefined) {
+  /*
+   * Run git with the given arguments and return a Promise for its (trimmed) output.
+   */
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `git ${args[0]} failed: ${(stderr || err.message).trim()}`
+        return reject(err)
+      }
+      resolve(stdout.trim())
+    })
+  })
+}
+
+async function commitOf (repoPath, ref = 'HEAD') {
+  /*
+   * Return the metadata of the commit that the ref, i.e. a branch, tag or (short) hash, refers to.
+   */
+  const output = await git(['log', '-1', '--format=%H%x00%h%x00%cI%x00%an%x00%s', `${ref}^{commit}`, '--'], repoPath)
+  const [hash, shortHash, date, author, subject] = output.split('\u0000')
+  return { repository: repoPath, ref, hash, shortHash, date, author, subject }
+}
+
+function versionFor (commit, fullHash = false) {
+  // The version is the full commit hash, or the date of the commit with the short hash, e.g. "20200131-1a2b3c4"
+  return fullHash ? commit.hash : `${Moment.utc(commit.date).format('YYYYMMDD')}-${commit.shortHash}`
+}
+
+async function checkOut (repoPath, hash) {
+  /*
+   * Check out the commit into a new temporary directory. A shared clone reuses the objects of the
+   * repository, so this is fast and needs little space.
+   *
+   * Returns the path of the directory and a function to remove it, which returns a Promise.
+   */
+  const tmpDir = Tmp.dirSync({ prefix: 'big-waffle-git-', unsafeCleanup: true })
+  const cleanUp = () => new Promise(resolve => {
+    tmpDir.removeCallback(err => {
+      if (err) {
+        Log.warn(err, `Could not remove ${tmpDir.name}`)
+      }
+      resolve()
+    })
+  })
+  try {
+    await git(['clone', '--quiet', '--shared', '--no-checkout', repoPath, tmpDir.name])
+    await git(['checkout', '--quiet', '--detach', hash], tmpDir.name)
+  } catch (err) {
+    await cleanUp()
+    throw err
+  }
+  Log.info(`Checked out ${hash} of ${repoPath} into ${tmpDir.name}`)
+  return { path: tmpDir.name, cleanUp }
+}
+
+async function loadFromGit (name, version, repoPath, ref = 'HEAD', options = {}) {
+  /*
+   * Load the dataset as it is in the given ref of the repository, and record the commit in the
+   * definition of the dataset. Unless a version is given, the version is derived from the commit.
+   *
+   * Refuses to load a commit that was already loaded for the dataset.
+   */
+  const commit = await commitOf(repoPath, ref)
+  // check while holding the lock to load the dataset, as another process may be loading the same commit
+  const lock = await Dataset.lockForLoading(name)
+  let checkout
+  try {
+    const loaded = await Dataset.versionsWithCommit(name, commit.hash)
+    if (loaded.length > 0) {
+      throw new Error(`Commit ${commit.hash} (${ref}) has already been loaded as ${name}.${loaded[0]}`)
+    }
+    checkout = await checkOut(repoPath, commit.hash)
+  } catch (err) {
+    await Dataset.unlock(lock)
+    throw err
+  }
+  try {
+    return await Dataset.load(name, version || versionFor(commit, options.fullHash), checkout.path, Object.assign({}, options, { commit }), lock) // which releases the lock
+  } finally {
+    await checkout.cleanUp()
+  }
+}
+
+module.exports = { commitOf, checkOut, loadFromGit, versionFor }
@@ -0,0 +1,162 @@
+/**
+ * Jobs that load datasets in the background, e.g. when requested through the admin API.
+ *
+ * The state and progress of jobs are kept in the DB, so that any (worker) process can report on them.
+ */
+const Crypto = require('crypto')
+
+const { DB } = require('./maria')
+const { Dataset } = require('./ddf')
+const Log = require('./log')('jobs')
+
+let tableCreated
+
+function ensureTable () {
+  if (!tableCreated) {
+    tableCreated = DB.query(`CREATE TABLE IF NOT EXISTS load_jobs (
+      id CHAR(16) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      state VARCHAR(16) NOT NULL,
+      job JSON,
+      started TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX (started));`)
+      .catch(err => {
+        tableCreated = undefined // to try again next time
+        throw err
+      })
+  }
+  return tableCreated
+}
+
+class LoadJob {
+  constructor (name, version, dirPath, options = {}) {
+    this.id = Crypto.randomBytes(8).toString('hex')
+    this.name = name
+    this.version = version
+    this.directory = dirPath
+    this.state = 'running'
+    this.started = new Date()
+    this.files = []
+    this._options = options
+    this._saved = Promise.resolve()
+  }
+
+  static async start (name, version, dirPath, options = {}, cleanUp = undefined) {
+    /*
+     * Start to load a dataset in the background, and return the job.
+     * Throws an error if the dataset is already being loaded, or if its name is reserved.
+     *
+     * The optional cleanUp function is called when the job has finished, e.g. to remove an uploaded archive.
+     */
+    Dataset.checkName(name)
+    await ensureTable()
+    const lock = await Dataset.lockForLoading(name)
+    const job = new this(name, version, dirPath, options)
+    job._cleanUp = cleanUp
+    await job._save()
+    job._run(lock) // the job continues regardless of the request that started it
+    return job
+  }
+
+  async _run (lock) {
+    const onProgress = update => {
+      if (update.step) {
+        this.step = update.step
+      } else if (update.tables) {
+        this.tables = update.tables
+      } else {
+        this.files.push(update)
+      }
+      this._save()
+    }
+    try {
+      const dataset = await Dataset.load(this.name, this.version, this.directory, Object.assign({}, this._options, { onProgress }), lock)
+      this.version = dataset.version
+      this.state = 'succeeded'
+    } catch (err) {
+      Log.error(err)
+      this.state = 'failed'
+      this.error = err.message
+      if (err.resource) {
+        this.resource = err.resource
+      }
+    }
+    if (this._cleanUp) {
+      try {
+        await this._cleanUp()
+      } catch (err) {
+        Log.warn(err)
+      }
+    }
+    this.finished = new Date()
+    return this._save()
+  }
+
+  _save () {
+    // save one update after the other, so that the last update wins
+    this._saved = this._saved
+      .then(() => DB.query('REPLACE INTO load_jobs (id, name, state, job, started) VALUES (?, ?, ?, ?, ?);',
+        [this.id, this.name, this.state, JSON.stringify(this), this.started]))
+      .catch(err => Log.error(err))
+    return this._saved
+  }
+
+  toJSON () {
+    const doc = {}
+    for (const key in this) {
+      if (!key.startsWith('_')) {
+        doc[key] = this[key]
+      }
+    }
+    return doc
+  }
+
+  static async recoverInterrupted () {
+    /*
+     * Mark the jobs that are running according to the DB, but that no process runs, as failed, and drop the
+     * tables that these created. This happens to jobs of a process that was stopped, e.g. after draining.
+     * Returns the number of jobs that were recovered.
+     */
+    await ensureTable()
+    let recovered = 0
+    for (const row of await DB.query('SELECT job FROM load_jobs WHERE state = ?;', ['running'])) {
+      const job = JSON.parse(row.job)
+      let lock
+      try {
+        lock = await Dataset.lockForLoading(job.name)
+      } catch (err) {
+        if (err.code === 'DDF_LOAD_IN_PROGRESS') {
+          continue // the job is still running, in another process
+        }
+        throw err
+      }
+      try {
+        const dropped = await Dataset.dropUnusedTables(job.name, job.tables || [], lock)
+        Log.warn(`Job ${job.id} to load ${job.name} was interrupted, dropped ${dropped.length} of its tables`)
+        Object.assign(job, { state: 'failed', error: 'The job was interrupted', finished: new Date() })
+        await lock.query('UPDATE load_jobs SET state = ?, job = ? WHERE id = ?;', [job.state, JSON.stringify(job), job.id])
+        recovered += 1
+      } finally {
+        await Dataset.unlock(lock)
+      }
+    }
+    return recovered
+  }
+
+  static async find (id) {
+    /*
+     * Return a plain object for the job with the given id, or undefined if there is no such job.
+     */
+    await ensureTable()
+    const rows = await DB.query('SELECT job FROM load_jobs WHERE id = ?;', [id])
+    return rows.length > 0 ? JSON.parse(rows[0].job) : undefined
+  }
+
+  static async recent (limit = 20) {
+    await ensureTable()
+    const rows = await DB.query(`SELECT job FROM load_jobs ORDER BY started DESC LIMIT ${Number(limit)};`)
+    return rows.map(row => JSON.parse(row.job))
+  }
+}
+
+module.exports = { LoadJob }
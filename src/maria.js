@@ -24,6 +24,15 @@ if (env.DBPassword === undefined) {
 const DB = MariaDB.createPool(connectionOptions)
 DB.name = env.DBName
 
+function killQuery (threadId) {
+  /*
+   * Stop the query that runs on the connection with the given thread id.
+   * The connection itself remains usable.
+   */
+  return DB.query(`KILL QUERY ${Number(threadId)};`)
+}
+
 Object.assign(exports, {
-  DB
+  DB,
+  killQuery
 })
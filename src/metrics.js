@@ -0,0 +1,160 @@
+/**
+ * Prometheus metrics of the DDF service.
+ *
+ * When the service runs in several cluster workers, the master aggregates the metrics of all workers.
+ */
+const cluster = require('cluster')
+const Prometheus = require('prom-client')
+
+const Log = require('./log')('metrics')
+
+const MetricsRequest = 'big-waffle:getMetricsReq'
+const MetricsResponse = 'big-waffle:getMetricsRes'
+const MetricsTimeout = 5000 // in milliseconds
+
+const aggregator = new Prometheus.AggregatorRegistry() // in a worker this ensures that the master can ask for its metrics
+
+const queryDuration = new Prometheus.Histogram({
+  name: 'bigwaffle_query_duration_seconds',
+  help: 'Time to answer a DDF query, from receiving the request until the last record was sent',
+  labelNames: ['dataset', 'cached'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+})
+
+const dbDuration = new Prometheus.Histogram({
+  name: 'bigwaffle_query_db_duration_seconds',
+  help: 'Time the DB took to start returning the results of a DDF query',
+  labelNames: ['dataset'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+})
+
+const recordCount = new Prometheus.Histogram({
+  name: 'bigwaffle_query_records',
+  help: 'Number of records in the response to a DDF query',
+  labelNames: ['dataset'],
+  buckets: [1, 10, 100, 1000, 10000, 100000, 1000000]
+})
+
+const responseSize = new Prometheus.Histogram({
+  name: 'bigwaffle_response_bytes',
+  help: 'Size of the (uncompressed) response to a DDF query',
+  labelNames: ['dataset', 'cached'],
+  buckets: Prometheus.exponentialBuckets(1024, 4, 8) // 1KB up to 16MB
+})
+
+const errorCount = new Prometheus.Counter({
+  name: 'bigwaffle_http_errors_total',
+  help: 'Number of HTTP responses with a 4xx or 5xx status',
+  labelNames: ['dataset', 'status', 'code']
+})
+
+const throttleCount = new Prometheus.Counter({
+  name: 'bigwaffle_throttled_total',
+  help: 'Number of requests refused because the service was too busy',
+  labelNames: ['reason']
+})
+
+function monitorPool (pool) {
+  /*
+   * Add gauges for the connections of the given (MariaDB) pool.
+   */
+  return [new Prometheus.Gauge({
+    name: 'bigwaffle_db_connections',
+    help: 'Number of connections in the DB pool',
+    labelNames: ['state'],
+    collect () {
+      this.set({ state: 'active' }, pool.activeConnections())
+      this.set({ state: 'idle' }, pool.idleConnections())
+    }
+  }), new Prometheus.Gauge({
+    name: 'bigwaffle_db_pending_requests',
+    help: 'Number of requests waiting for a connection from the DB pool',
+    collect () {
+      this.set(pool.taskQueueSize())
+    }
+  })]
+}
+
+function serveClusterMetrics () {
+  /*
+   * To be called in the cluster master, which then answers requests
+   * from workers for the aggregated metrics of all workers.
+   */
+  cluster.on('message', (worker, message) => {
+    if (message && message.type === MetricsRequest) {
+      aggregator.clusterMetrics()
+        .then(metrics => worker.send({ type: MetricsResponse, requestId: message.requestId, metrics }))
+        .catch(err => {
+          Log.error(err)
+          worker.send({ type: MetricsResponse, requestId: message.requestId, error: err.message })
+        })
+    }
+  })
+}
+
+let requestCounter = 0
+const pendingRequests = new Map()
+
+function requestClusterMetrics () {
+  /*
+   * Ask the master for the aggregated metrics of all workers.
+   */
+  if (pendingRequests.size === 0) {
+    process.on('message', onMetricsResponse)
+  }
+  const requestId = requestCounter++
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      settle(requestId, { error: 'Timed out waiting for the metrics of all workers' })
+    }, MetricsTimeout)
+    pendingRequests.set(requestId, { resolve, reject, timeout })
+    process.send({ type: MetricsRequest, requestId })
+  })
+}
+
+function onMetricsResponse (message) {
+  if (message && message.type === MetricsResponse) {
+    settle(message.requestId, message)
+  }
+}
+
+function settle (requestId, { metrics, error }) {
+  const request = pendingRequests.get(requestId)
+  if (!request) {
+    return
+  }
+  clearTimeout(request.timeout)
+  pendingRequests.delete(requestId)
+  if (pendingRequests.size === 0) {
+    process.removeListener('message', onMetricsResponse)
+  }
+  if (error) {
+    request.reject(new Error(error))
+  } else {
+    request.resolve(metrics)
+  }
+}
+
+function metrics () {
+  /*
+   * Returns a Promise for the metrics in the Prometheus text format.
+   */
+  if (cluster.isWorker) {
+    return requestClusterMetrics()
+  }
+  return Prometheus.register.metrics()
+}
+
+Object.assign(exports, {
+  contentType: Prometheus.register.contentType,
+  collectDefaultMetrics: () => Prometheus.collectDefaultMetrics(),
+  metrics,
+  monitorPool,
+  serveClusterMetrics,
+  queryDuration,
+  dbDuration,
+  recordCount,
+  responseSize,
+  errorCount,
+  throttleCount
+})
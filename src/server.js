@@ -13,13 +13,35 @@ if (cluster.isMaster && numWorkers > 1) {
   Log.info(`This system has ${numCPUs} CPUs`)
   Log.info(`Master ${process.pid} is running`)
 
+  require('./metrics').serveClusterMetrics() // workers ask the master for the metrics of all workers
+
   // Fork workers.
   for (let i = 0; i < numWorkers; i++) {
     cluster.fork(envCopy)
   }
 
+  let shuttingDown = false
   cluster.on('exit', (worker, code, signal) => {
     Log.info(`worker ${worker.process.pid} died`)
+    if (shuttingDown && Object.keys(cluster.workers).length === 0) {
+      process.exit(0)
+    }
+  })
+
+  process.on('SIGUSR2', () => {
+    // toggle maintenance mode in all workers
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill('SIGUSR2')
+    }
+  })
+
+  process.once('SIGTERM', () => {
+    // let the workers drain, and exit when they are all done
+    Log.info('Shutting down')
+    shuttingDown = true
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill('SIGTERM')
+    }
   })
 } else {
   require('./service').DDFService()
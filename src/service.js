@@ -2,24 +2,223 @@
  * Koa (HTTP) service to handle DDF requests.
  *
  */
+const Crypto = require('crypto')
+const { PassThrough, Transform } = require('stream')
 const zlib = require('zlib')
+const BodyParser = require('koa-bodyparser')
 const Compress = require('koa-compress')
 const Koa = require('koa')
 const Router = require('koa-router')
 const Moment = require('moment')
 const Urlon = require('urlon')
 const BasicAuth = require('basic-auth')
+const TooBusy = require('toobusy-js')
 
+const { AdminRouter } = require('./admin')
+const { ResultCache } = require('./cache')
+const { LoadJob } = require('./jobs')
 const { DB } = require('./maria')
-const { Dataset, Query, QueryError, RecordPrinter } = require('./ddf')
-const { AllowCaching, BehindProxy, HTTPPort, CPUThrottle, DBThrottle } = require('./env')
+const Metrics = require('./metrics')
+const { Dataset, Query, QueryError, Printers } = require('./ddf')
+const { AdminPassword, AdminPort, AllowCaching, BehindProxy, HTTPPort, CPUThrottle, DBThrottle, DrainDelay, MaintenanceMode, MaintenanceRetryAfter, ResultCacheSize, ResultCacheMaxEntry } = require('./env')
 const Log = require('./log')('service')
 
+const MaxBatchSize = 100 // the maximum number of queries in one batch request
+const MaxURLLength = 2000 // longer URLs may not pass (all) proxies and caches
+
+Metrics.collectDefaultMetrics()
+Metrics.monitorPool(DB)
+
+function printerFor (ddfQuery, ctx) {
+  /*
+   * Return the class of the printer for the format explicitly given in the query, or
+   * otherwise for the media type that best matches the Accept header of the request.
+   */
+  if (ddfQuery.format) {
+    return Printers[ddfQuery.format]
+  }
+  const printers = Object.values(Printers)
+  const mediaType = ctx.accepts(printers.map(printer => printer.mediaType))
+  return printers.find(printer => printer.mediaType === mediaType) || printers[0]
+}
+
+function setResultHeaders (ctx, mediaType, name, version, allowCaching) {
+  /*
+   * Set the headers of a response with the results of a DDF query.
+   */
+  ctx.status = 200
+  ctx.type = mediaType
+  ctx.vary('Accept')
+  ctx.set('X-DDF-Version', version) // not all formats can include the version in the body
+  ctx.set('Cache-Control', allowCaching ? 'public, max-age=31536000, immutable' : 'no-cache, no-store, must-revalidate')
+  if (allowCaching) {
+    ctx.set('Cache-Tag', `${name}/${version}`)
+  } else {
+    ctx.remove('ETag')
+  }
+  ctx.compress = ctx.acceptsEncodings('gzip', 'deflate') !== false
+}
+
+function setContentLocation (ctx, name, version, json) {
+  /*
+   * Set the URL for a GET request of the (posted) query as the Content-Location of
+   * the response, if that URL is not too long to be cached.
+   */
+  const url = `/${name}/${version}?${encodeURIComponent(Urlon.stringify(json))}`
+  if (url.length <= MaxURLLength) {
+    ctx.set('Content-Location', url)
+  }
+}
+
+function queryFrom (ctx) {
+  /*
+   * Return the DDF query (and the plain object for it) from the querystring of the request,
+   * or from the (JSON) body of a POST request.
+   * Throws a 400 HTTP error if there is no (valid) query.
+   */
+  let json
+  try {
+    if (ctx.method === 'POST') {
+      if (!ctx.request.body || typeof ctx.request.body !== 'object' || Object.keys(ctx.request.body).length === 0) {
+        throw new Error('Request has no query')
+      }
+      json = ctx.request.body
+    } else if (!(typeof ctx.querystring === 'string' && ctx.querystring.length > 10)) {
+      throw new Error('Request has no query')
+    } else {
+      try {
+        json = Urlon.parse(decodeURIComponent(ctx.querystring)) // despite using urlon we still need to decode!
+      } catch (urlonError) {
+        json = JSON.parse(decodeURIComponent(ctx.querystring))
+      }
+    }
+    Log.debug({ query: json })
+    return { ddfQuery: new Query(json), json }
+  } catch (err) {
+    // malformed queries get logged, but don't raise errors/alarms
+    Log.info(json ? { ddfQuery: json, req: ctx.request, err } : err)
+    ctx.throw(400, err instanceof SyntaxError ? `Query is malformed: ${err.message}` : err.message)
+  }
+}
+
+function errorResponseFor (err, logContext = {}) {
+  /*
+   * Return the HTTP status and message for an error that occurred while answering a DDF query.
+   */
+  if (err.code === 'PASSWORD_REQUIRED') {
+    return { status: 401, message: 'Unauthorized' }
+  } else if (err.code === 'DDF_DATASET_NOT_FOUND') {
+    return { status: 404, message: err.message }
+  } else if (err instanceof QueryError) {
+    Log.warn(Object.assign({ err }, logContext))
+    return { status: 400, message: err.message }
+  } else if (err.code === 'ER_GET_CONNECTION_TIMEOUT') {
+    Log.warn('DDF query request timed out')
+    return { status: 503, message: `Sorry, the DDF Service seems too busy, try again later` }
+  } else if (err.code === 'ER_STATEMENT_TIMEOUT') {
+    Log.warn(Object.assign({ sql: err.sql }, logContext), 'DDF query exceeded the time budget')
+    return { status: 504, message: 'Query took too long to answer, try to query for less data', code: 'QL_TIMEOUT' }
+  }
+  if (err.sql) {
+    Log.warn(err.sql)
+    delete err.sql
+  }
+  if (err.code === 'ER_BAD_FIELD_ERROR') {
+    const shortMsg = err.message.match(/Unknown column \S*\s/)
+    return { status: 400, message: shortMsg ? shortMsg[0].replace('column', 'concept') : 'DDF query seems to refer to an unknown concept' }
+  }
+  Log.warn(Object.assign({ err }, logContext), `Unknown error: ${err.message}`)
+  return { status: 500, message: `Sorry, the DDF Service seems to have a problem, try again later` }
+}
+
+function respondToQueryError (ctx, err, dataset, json) {
+  /*
+   * Respond with the appropriate HTTP error for an error that occurred while answering a DDF query.
+   */
+  const { status, message, code } = errorResponseFor(err, { req: ctx.request, ddfQuery: json })
+  ctx.remove('ETag') // which may have been set to check the freshness of the request
+  ctx.state.errorCode = code || err.code
+  if (status === 401) {
+    ctx.append('WWW-Authenticate', `Basic realm="Access to ${dataset.name} data", charset="UTF-8"`)
+  } else if (err.suggestions && ctx.accepts('text/plain', 'application/json') === 'application/json') {
+    // give clients that prefer JSON the unknown concepts, with suggestions, in a structured form
+    ctx.status = status
+    ctx.body = { error: message.trim(), code: err.code, suggestions: err.suggestions }
+    return
+  } else if (status === 504) {
+    ctx.status = status
+    ctx.body = { error: message, code }
+    return
+  }
+  ctx.throw(status, message)
+}
+
+function respondUnderMaintenance (ctx) {
+  ctx.remove('ETag')
+  ctx.set('Retry-After', String(MaintenanceRetryAfter))
+  ctx.set('Cache-Control', 'no-store')
+  ctx.status = 503
+  ctx.body = 'Sorry, the DDF Service is under maintenance, try again later'
+}
+
+function countError (ctx, status) {
+  // the dataset is only known once it was opened, a label for every name that is requested would never go away
+  Metrics.errorCount.inc({ dataset: ctx.state.dataset || '', status, code: ctx.state.errorCode || '' })
+}
+
+async function dbStatus () {
+  /*
+   * Check that the DB can be reached, and that it has the datasets table.
+   */
+  const status = {
+    totalConnections: DB.totalConnections(),
+    idleConnections: DB.idleConnections(),
+    taskQueueSize: DB.taskQueueSize()
+  }
+  let conn
+  try {
+    conn = await DB.getConnection()
+    const tables = await conn.query("SHOW TABLES LIKE 'datasets';")
+    status.reachable = true
+    status.datasetsTable = tables.length > 0
+  } catch (err) {
+    Log.error(err)
+    status.reachable = false
+    status.error = err.message
+  } finally {
+    if (conn) conn.release()
+  }
+  return status
+}
+
 module.exports.DDFService = function (forTesting = false) {
   const app = new Koa()
   app.proxy = BehindProxy
   const api = new Router() // routes for the main API
 
+  // dataset versions are immutable, so results only need to be invalidated when a version is removed
+  const resultCache = new ResultCache(ResultCacheSize, ResultCacheMaxEntry)
+  Dataset.events.on('removed', (name, version) => resultCache.invalidate(name, version))
+
+  // what is known about the versions that were queried, to answer conditional requests without the DB
+  const knownVersions = new Map()
+  const forgetVersion = (name, version) => {
+    for (const key of knownVersions.keys()) {
+      if (key.startsWith(`${name}/`) && (version === undefined || key === `${name}/${version}`)) {
+        knownVersions.delete(key)
+      }
+    }
+  }
+  Dataset.events.on('removed', forgetVersion)
+  Dataset.events.on('changed', forgetVersion)
+  const etagFor = (known, mediaType, ddfQuery) => {
+    return Crypto.createHash('sha1').update(ResultCache.keyFor(known.name, known.version, known.revision, mediaType, ddfQuery.canonicalForm())).digest('hex')
+  }
+
+  // in maintenance mode only cached results and the default versions of datasets are served
+  let maintenance = MaintenanceMode
+  const underMaintenance = dataset => maintenance && !dataset.isDefault
+
   const loaderIOToken = process.env.LOADER_IO_TOKEN
   if (loaderIOToken) {
     api.get(`/${loaderIOToken}.txt`, async (ctx, next) => {
@@ -35,7 +234,8 @@ module.exports.DDFService = function (forTesting = false) {
     ctx.body = {
       list: '/',
       query: '/DATASET/VERSION',
-      assets: 'DATASET/VERSION/assets/ASSET'
+      assets: 'DATASET/VERSION/assets/ASSET',
+      explain: '/DATASET/VERSION/explain'
     }
   })
 
@@ -44,7 +244,7 @@ module.exports.DDFService = function (forTesting = false) {
      * List all (public) datasets that are currently available.
      */
     const datasets = await Dataset.all()
-    ctx.set('Cache-Control', 'no-cache, no-store, must-revalidate')
+    ctx.set('Cache-Control', 'no-cache') // clients should always revalidate, using the ETag
     ctx.body = datasets.map(ds => {
       const rec = {
         name: ds.name,
@@ -53,6 +253,10 @@ module.exports.DDFService = function (forTesting = false) {
       if (ds.is__default) rec.default = true
       return rec
     })
+    ctx.etag = Crypto.createHash('sha1').update(JSON.stringify(ctx.body)).digest('hex')
+    if (ctx.fresh) {
+      ctx.status = 304
+    }
   })
 
   api.get('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)?/assets/:asset([-a-z_0-9.]+)', async (ctx, next) => {
@@ -76,107 +280,377 @@ module.exports.DDFService = function (forTesting = false) {
     }
   })
 
-  api.get('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)?', async (ctx, next) => {
-    Log.debug('Received DDF query')
-    const received = Moment()
-    let ddfQuery, json
-    let version = ctx.params.version
+  api.get('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)/:mode(explain|analyze)', async (ctx, next) => {
+    /*
+     * Explain how a DDF query would be answered, without sending the results.
+     * In "analyze" mode the query is also executed to obtain the number of records and timing.
+     */
+    const { ddfQuery, json } = queryFrom(ctx)
+    let dataset
     try {
-      if (!(typeof ctx.querystring === 'string' && ctx.querystring.length > 10)) {
-        throw new Error('Request has no query')
+      dataset = await Dataset.open(ctx.params.dataset, ctx.params.version, true)
+      ctx.state.dataset = dataset.name
+      if (underMaintenance(dataset)) {
+        return respondUnderMaintenance(ctx)
       }
-      try {
-        json = Urlon.parse(decodeURIComponent(ctx.querystring)) // despite using urlon we still need to decode!
-      } catch (urlonError) {
-        json = JSON.parse(decodeURIComponent(ctx.querystring))
+      ctx.body = await dataset.explain(ddfQuery, ctx.params.mode === 'analyze', BasicAuth(ctx.req))
+      ctx.set('Cache-Control', 'no-cache, no-store, must-revalidate')
+    } catch (err) {
+      return respondToQueryError(ctx, err, dataset, json)
+    }
+  })
+
+  api.post('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)/batch', BodyParser({ enableTypes: ['json'] }), async (ctx, next) => {
+    /*
+     * Answer a batch of DDF queries, given as a JSON object that maps ids to queries,
+     * or as a JSON array of queries (in which case the ids are the indices).
+     *
+     * The queries are answered one after the other, using one DB connection, and the results
+     * are streamed. The response is a JSON object with the version and the results, keyed by id.
+     * The result for a query that fails is an object with the error message and the HTTP status
+     * for that error, after the records that were already sent, if any.
+     */
+    const requests = ctx.request.body
+    const ids = Array.isArray(requests) ? requests.map((_, idx) => String(idx)) : Object.keys(requests || {})
+    if (!requests || typeof requests !== 'object' || ids.length === 0) {
+      ctx.throw(400, 'Request should have a list of DDF queries')
+    } else if (ids.length > MaxBatchSize) {
+      ctx.throw(400, `Request should have at most ${MaxBatchSize} DDF queries`)
+    }
+
+    let dataset, connection
+    try {
+      dataset = await Dataset.open(ctx.params.dataset, ctx.params.version, true)
+      ctx.state.dataset = dataset.name
+      if (underMaintenance(dataset)) {
+        return respondUnderMaintenance(ctx)
       }
-      Log.debug({ query: json })
-      ddfQuery = new Query(json)
+      connection = await DB.getConnection()
     } catch (err) {
-      // malformed queries get logged, but don't raise errors/alarms
-      Log.info(json ? { ddfQuery: json, req: ctx.request, err } : err)
-      ctx.throw(400, err instanceof SyntaxError ? `Query is malformed: ${err.message}` : err.message)
+      return respondToQueryError(ctx, err, dataset)
     }
+    const credential = BasicAuth(ctx.req)
+    const aborted = () => ctx.req.aborted
+    const JSONPrinter = Printers.json
 
-    let dataset, recordStream, queryStart, allowCaching
+    const body = new PassThrough()
+    const writeResultFor = async (json) => {
+      // write the (JSON) printed results for one query to the response, without keeping these in memory
+      let ddfQuery, recordStream
+      try {
+        ddfQuery = new Query(json)
+        recordStream = await dataset.queryStream(ddfQuery, aborted, credential, connection)
+      } catch (err) {
+        const { status, message } = ddfQuery ? errorResponseFor(err, { req: ctx.request, ddfQuery: json }) : { status: 400, message: err.message }
+        body.write(JSON.stringify({ error: message.trim(), status }))
+        return
+      }
+      if (!recordStream) { // the request was aborted
+        body.write('null')
+        return
+      }
+      // when the response is closed early, the connection can only be used again after the query has stopped
+      const abandon = () => recordStream.cleanUp && recordStream.cleanUp(new Error('HTTP Request unexpectedly closed'))
+      if (body.destroyed) {
+        return abandon()
+      }
+      const printer = new JSONPrinter(ddfQuery, ddfQuery.isForData)
+      printer.datasetVersion = dataset.version
+      return new Promise((resolve, reject) => {
+        const onClose = () => resolve(abandon())
+        body.once('close', onClose)
+        recordStream.once('error', err => {
+          // records may have been written already, so the error is reported after these
+          recordStream.unpipe(printer)
+          const { status, message } = errorResponseFor(err, { req: ctx.request, ddfQuery: json })
+          printer.fail(message.trim(), status)
+        })
+        recordStream.pipe(printer)
+          .once('end', () => {
+            body.removeListener('close', onClose)
+            resolve()
+          })
+          .once('error', reject)
+          .pipe(body, { end: false })
+      })
+    }
 
-    // make sure that clients that are not very patient don't cause problems
-    for (const ev of ['aborted', 'close']) {
-      ctx.req.on(ev, () => {
-        if (recordStream && recordStream.cleanup) {
-          recordStream.cleanUp(new Error('HTTP Request unexpectedly closed'))
+    ctx.status = 200
+    ctx.type = 'application/json'
+    ctx.set('X-DDF-Version', dataset.version)
+    ctx.set('Cache-Control', 'no-cache, no-store, must-revalidate')
+    ctx.compress = ctx.acceptsEncodings('gzip', 'deflate') !== false
+    ctx.body = body
+    const writeResults = async () => {
+      body.write(`{"version":${JSON.stringify(dataset.version)},"results":{`)
+      for (const [idx, id] of ids.entries()) {
+        if (aborted() || body.destroyed) {
+          break
         }
+        body.write(`${idx > 0 ? ',' : ''}\n${JSON.stringify(id)}:`)
+        await writeResultFor(requests[id])
+      }
+      body.end('\n}}')
+    }
+    writeResults()
+      .catch(err => {
+        Log.error(err)
+        body.destroy(err)
       })
+      .finally(() => connection.end())
+  })
+
+  const answerQuery = async (ctx, next) => {
+    /*
+     * Answer a DDF query, given in the querystring of a GET request or in the body of a POST request.
+     */
+    Log.debug('Received DDF query')
+    const received = Moment()
+    const { ddfQuery, json } = queryFrom(ctx)
+    let version = ctx.params.version
+
+    let dataset, recordStream, queryStart, allowCaching, cacheKey
+    const Printer = printerFor(ddfQuery, ctx)
+    if (ddfQuery.limit !== undefined && !Printer.canReportTruncation) {
+      return respondToQueryError(ctx, QueryError.LimitNotSupported(ddfQuery, Printer.mediaType), undefined, json)
+    }
+
+    // results for an explicit version only depend on the request, so they can be revalidated without the DB
+    let known = AllowCaching && version !== 'latest' ? knownVersions.get(`${ctx.params.dataset}/${version}`) : undefined
+    if (known && !known.isProtected) {
+      ctx.status = 200 // Koa only checks the freshness of successful responses
+      ctx.etag = etagFor(known, Printer.mediaType, ddfQuery)
+      if (ctx.fresh) {
+        ctx.state.dataset = known.name
+        ctx.status = 304
+        ctx.vary('Accept')
+        ctx.set('Cache-Control', 'public, max-age=31536000, immutable')
+        return
+      }
+      ctx.remove('ETag') // set again once the version has been opened
+    }
+
+    // make sure that clients that are not very patient don't cause problems
+    const abandon = () => {
+      if (recordStream && recordStream.cleanUp) {
+        recordStream.cleanUp(new Error('HTTP Request unexpectedly closed'))
+      }
     }
+    ctx.req.once('aborted', abandon)
+    let finished = false // res.writableFinished needs Node 12.9
+    ctx.res.once('finish', () => { finished = true })
+    ctx.res.once('close', () => {
+      if (!finished) { // the connection was closed before the whole response was sent
+        abandon()
+      }
+    })
 
     try {
       Log.debug(`DB has ${DB.idleConnections()} idle connections and ${DB.taskQueueSize()} pending connection requests`)
       dataset = await Dataset.open(ctx.params.dataset, ctx.params.version, true)
+      ctx.state.dataset = dataset.name
       if (ctx.headerSent || ctx.req.aborted) {
         return
       }
       if (!ctx.params.version) {
-        ctx.redirect(`/${dataset.name}/${dataset.version}?${ctx.querystring}`)
+        if (ctx.method === 'POST') {
+          ctx.status = 307 // to ensure that the query will be posted again
+          ctx.redirect(`/${dataset.name}/${dataset.version}`)
+        } else {
+          ctx.redirect(`/${dataset.name}/${dataset.version}?${ctx.querystring}`)
+        }
         return
       } else {
         version = dataset.version
         allowCaching = AllowCaching && dataset.isProtected !== true
+        if (ctx.params.version !== 'latest') {
+          known = { name: dataset.name, version, isProtected: dataset.isProtected === true, revision: dataset.revision }
+          knownVersions.set(`${dataset.name}/${version}`, known)
+        }
+        if (allowCaching && ctx.params.version !== 'latest') {
+          ctx.status = 200 // Koa only checks the freshness of successful responses
+          ctx.etag = etagFor(known, Printer.mediaType, ddfQuery)
+          if (ctx.fresh) {
+            ctx.status = 304
+            ctx.vary('Accept')
+            ctx.set('Cache-Control', 'public, max-age=31536000, immutable')
+            return
+          }
+        }
+        if (resultCache.enabled && dataset.isProtected !== true) {
+          cacheKey = ResultCache.keyFor(dataset.name, version, dataset.revision, Printer.mediaType, ddfQuery.canonicalForm())
+          const cached = resultCache.get(cacheKey)
+          if (cached) {
+            setResultHeaders(ctx, cached.type, dataset.name, version, allowCaching)
+            if (ctx.method === 'POST') {
+              setContentLocation(ctx, dataset.name, version, json)
+            }
+            ctx.body = cached.value
+            const responseTime = Moment().diff(received, 'milliseconds')
+            Metrics.queryDuration.observe({ dataset: dataset.name, cached: 'true' }, responseTime / 1000)
+            Metrics.responseSize.observe({ dataset: dataset.name, cached: 'true' }, cached.size)
+            Log.info(`Responded with cached results in ${responseTime}ms`)
+            return
+          }
+        }
+        if (underMaintenance(dataset)) {
+          return respondUnderMaintenance(ctx)
+        }
         queryStart = Moment()
         recordStream = await dataset.queryStream(ddfQuery, () => ctx.headerSent || ctx.req.aborted, BasicAuth(ctx.req))
       }
     } catch (err) {
       if (recordStream && recordStream.cleanUp) recordStream.cleanUp(err)
-      if (err.code === 'PASSWORD_REQUIRED') {
-        ctx.append('WWW-Authenticate', `Basic realm="Access to ${dataset.name} data", charset="UTF-8"`)
-        ctx.throw(401, 'Unauthorized')
-      } else if (err.code === 'DDF_DATASET_NOT_FOUND') {
-        ctx.throw(404, err.message)
-      } else if (err instanceof QueryError) {
-        Log.warn({ err, req: ctx.request, ddfQuery: json })
-        ctx.throw(400, err.message)
-      } else if (err.code === 'ER_GET_CONNECTION_TIMEOUT') {
-        Log.warn('DDF query request timed out')
-        ctx.throw(503, `Sorry, the DDF Service seems too busy, try again later`)
-      } else {
-        if (err.sql) {
-          Log.warn(err.sql)
-          delete err.sql
-        }
-        if (err.code === 'ER_BAD_FIELD_ERROR') {
-          const shortMsg = err.message.match(/Unknown column \S*\s/)
-          ctx.throw(400, shortMsg ? shortMsg[0].replace('column', 'concept') : 'DDF query seems to refer to an unknown concept')
-        }
-        Log.warn({ err, req: ctx.request, ddfQuery: json }, `Unknown error: ${err.message}`)
+      if (err.code === 'DDF_DATASET_NOT_FOUND') {
+        // the dataset (version) may have been removed by another process
+        resultCache.invalidate(ctx.params.dataset, ctx.params.version)
+        forgetVersion(ctx.params.dataset, ctx.params.version)
       }
-      ctx.throw(500, `Sorry, the DDF Service seems to have a problem, try again later`)
+      return respondToQueryError(ctx, err, dataset, json)
     }
     if (recordStream) {
       const queryTime = Moment().diff(queryStart, 'milliseconds')
       if (queryTime > 1000) {
         ddfQuery.warn({ ddfQuery: json }, `Slow query, ${queryTime}ms!`)
       }
+      Metrics.dbDuration.observe({ dataset: dataset.name }, queryTime / 1000)
 
-      const printer = new RecordPrinter(ddfQuery, ddfQuery.isForData, queryTime)
+      const printer = new Printer(ddfQuery, ddfQuery.isForData, queryTime)
       printer.datasetVersion = version // to ensure the HTTP response includes the actual version used to answer this query
+      printer.sqlTypes = dataset.schema.sqlTypesFor(ddfQuery)
       printer._destroy = (err) => {
         if (recordStream.cleanUp) recordStream.cleanUp(err)
-        Log.info(`Responded with ${printer.recordCounter} records in ${Moment().diff(received, 'milliseconds')}ms. DB query processing took ${queryTime}ms`)
+        const responseTime = Moment().diff(received, 'milliseconds')
+        Metrics.queryDuration.observe({ dataset: dataset.name, cached: 'false' }, responseTime / 1000)
+        Metrics.recordCount.observe({ dataset: dataset.name }, printer.recordCounter)
+        Log.info(`Responded with ${printer.recordCounter} records in ${responseTime}ms. DB query processing took ${queryTime}ms`)
       }
-      ctx.status = 200
-      ctx.type = 'application/json'
-      ctx.set('Cache-Control', allowCaching ? 'public, max-age=31536000, immutable' : 'no-cache, no-store, must-revalidate')
-      if (allowCaching) {
-        ctx.set('Cache-Tag', `${ctx.params.dataset}/${version}`)
+      recordStream.once('error', err => {
+        // the headers have been sent, so the error can only be reported in the response body, if at all
+        recordStream.unpipe(printer)
+        const { status, message } = errorResponseFor(err, { req: ctx.request, ddfQuery: json })
+        if (Printer.canReportErrors) {
+          printer.fail(message.trim(), status)
+        } else {
+          ctx.res.destroy() // so that the client at least knows that the response is incomplete
+        }
+      })
+      setResultHeaders(ctx, Printer.mediaType, ctx.params.dataset, version, allowCaching)
+      if (ctx.method === 'POST') {
+        setContentLocation(ctx, dataset.name, version, json)
       }
-      ctx.compress = ctx.acceptsEncodings('gzip', 'deflate') !== false
-      ctx.body = recordStream.pipe(printer)
+      // pass the output through to measure its size, and cache it unless it is too large
+      let chunks = cacheKey ? [] : null
+      let size = 0
+      const collector = new Transform({
+        transform (chunk, encoding, callback) {
+          size += chunk.length
+          if (chunks) {
+            if (size <= resultCache.maxEntrySize) {
+              chunks.push(Buffer.from(chunk))
+            } else {
+              chunks = null
+            }
+          }
+          callback(null, chunk)
+        },
+        flush (callback) {
+          Metrics.responseSize.observe({ dataset: dataset.name, cached: 'false' }, size)
+          if (chunks && !printer.failed) {
+            resultCache.set(cacheKey, Buffer.concat(chunks), { name: dataset.name, version, type: Printer.mediaType })
+          }
+          callback()
+        },
+        destroy (err, callback) {
+          printer.destroy(err) // to ensure the DB connection is released
+          callback(err)
+        }
+      })
+      ctx.body = recordStream.pipe(printer).pipe(collector)
     } else {
       ctx.throw(503, `Sorry, the DDF Service seems too busy, try again later`)
     }
+  }
+  api.get('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)?', answerQuery)
+  api.post('/:dataset([-a-z_0-9]+)/:version([-a-z_0-9]+)?', BodyParser({ enableTypes: ['json'] }), answerQuery)
+
+  let draining = false
+  const health = new Router() // routes for probes, which should not be throttled
+  health.get('/healthz', (ctx, next) => {
+    /*
+     * Liveness: if this responds at all the process is alive.
+     */
+    ctx.set('Cache-Control', 'no-store')
+    ctx.body = { status: 'ok', pid: process.pid, lag: TooBusy.lag() }
+  })
+
+  health.get('/readyz', async (ctx, next) => {
+    /*
+     * Readiness: can this worker answer queries?
+     */
+    ctx.set('Cache-Control', 'no-store')
+    const db = draining ? undefined : await dbStatus()
+    const ready = !draining && db.reachable && db.datasetsTable
+    ctx.status = ready ? 200 : 503
+    ctx.body = { status: ready ? 'ok' : draining ? 'draining' : 'unavailable', pid: process.pid, db }
+  })
+
+  health.get('/status', async (ctx, next) => {
+    ctx.set('Cache-Control', 'no-store')
+    const db = await dbStatus()
+    ctx.body = {
+      pid: process.pid,
+      uptime: Math.round(process.uptime()),
+      draining,
+      maintenance,
+      lag: TooBusy.lag(),
+      memory: process.memoryUsage(),
+      db,
+      cache: { entries: resultCache.count, size: resultCache.size, maxSize: resultCache.maxSize }
+    }
+  })
+  health.get('/metrics', async (ctx, next) => {
+    /*
+     * Metrics in the Prometheus text format, for all workers of this service.
+     */
+    ctx.set('Cache-Control', 'no-store')
+    ctx.type = Metrics.contentType
+    ctx.body = await Metrics.metrics()
+  })
+
+  app.use(async (ctx, next) => {
+    /*
+     * Count the error responses, by the (DDF) error code if there is one.
+     */
+    try {
+      await next()
+    } catch (err) {
+      ctx.state.errorCode = ctx.state.errorCode || err.code
+      countError(ctx, err.status || 500)
+      throw err
+    }
+    if (ctx.status >= 400) {
+      countError(ctx, ctx.status)
+    }
   })
+  app.use(health.routes())
+
+  let adminServer
+  if (AdminPassword) {
+    const admin = AdminRouter(() => maintenance)
+    // the load jobs of a worker that was stopped would otherwise be running forever
+    LoadJob.recoverInterrupted().catch(err => Log.error(err))
+    if (AdminPort && AdminPort !== HTTPPort) {
+      const adminApp = new Koa()
+      adminApp.proxy = BehindProxy
+      adminApp.use(admin.routes())
+      adminServer = adminApp.listen(AdminPort)
+    } else {
+      app.use(admin.routes())
+    }
+  }
 
   if (forTesting !== true) { // when running tests it's generally nicer to run without throttling to avoid a lot of logging.
-    const TooBusy = require('toobusy-js')
     if (CPUThrottle) {
       TooBusy.maxLag(CPUThrottle)
       TooBusy.interval(250)
@@ -193,7 +667,9 @@ module.exports.DDFService = function (forTesting = false) {
       * Simple check to prevent from this worker to be flooded with requests.
       * This as DDF queries usually take significant amounts of time to process
       */
-      if ((CPUThrottle && TooBusy()) || (DBThrottle && DB.taskQueueSize() >= DBThrottle)) {
+      const reason = CPUThrottle && TooBusy() ? 'cpu' : DBThrottle && DB.taskQueueSize() >= DBThrottle ? 'db' : undefined
+      if (reason) {
+        Metrics.throttleCount.inc({ reason })
         Log.info(`Too busy!`)
         ctx.throw(503, `Sorry, the DDF Service is too busy, try again later`)
       }
@@ -203,9 +679,42 @@ module.exports.DDFService = function (forTesting = false) {
 
   app.use(require('koa2-cors')({
     origin: '*',
-    allowMethods: ['GET', 'HEAD', 'OPTIONS']
+    allowMethods: ['GET', 'HEAD', 'OPTIONS', 'POST'],
+    exposeHeaders: ['X-DDF-Version']
   }))
   app.use(Compress({ level: zlib.constants.Z_BEST_SPEED }))
+  app.use(async (ctx, next) => {
+    if (draining) {
+      ctx.set('Connection', 'close') // so that clients do not keep using this worker
+    }
+    await next()
+  })
   app.use(api.routes())
-  return app.listen(HTTPPort)
+  const server = app.listen(HTTPPort)
+  if (adminServer) {
+    server.on('close', () => adminServer.close())
+  }
+
+  if (forTesting !== true) {
+    process.on('SIGUSR2', () => {
+      maintenance = !maintenance
+      Log.info(`Worker ${process.pid} is ${maintenance ? 'now' : 'no longer'} in maintenance mode`)
+    })
+    process.once('SIGTERM', () => {
+      /*
+       * Fail the readiness probe first, and only stop accepting connections after
+       * load balancers have had time to notice. Requests in flight are completed.
+       */
+      Log.info(`Worker ${process.pid} is draining`)
+      draining = true
+      setTimeout(() => {
+        server.close(() => {
+          DB.end()
+            .catch(err => Log.error(err))
+            .then(() => process.exit(0))
+        })
+      }, DrainDelay * 1000)
+    })
+  }
+  return server
 }
@@ -1,5 +1,9 @@
 const { execFileSync } = require('child_process')
+const FS = require('fs')
+const OS = require('os')
+const Path = require('path')
 const { describe, it } = require('mocha')
+const Tar = require('tar')
 const chai = require('chai')
 chai.should()
 chai.use(require('chai-like'))
@@ -71,6 +75,37 @@ describe('CLI', function () {
       testfn.should.throw()
       list('test').should.be.an('array').with.lengthOf(nrOfDatasets)
     })
+    it('Report the resource that failed to load, and leave no version behind', function () {
+      const nrOfDatasets = list('test').length
+      const ddfDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--broken-'))
+      FS.writeFileSync(Path.join(ddfDir, 'datapackage.json'), JSON.stringify({
+        name: 'broken',
+        resources: [{ name: 'ddf--concepts', path: 'ddf--concepts.csv', schema: { fields: [{ name: 'concept' }, { name: 'concept_type' }], primaryKey: 'concept' } }],
+        ddfSchema: { concepts: [{ primaryKey: ['concept'], value: 'concept_type', resources: ['ddf--concepts'] }] }
+      })) // the ddf--concepts.csv file is missing
+      let output
+      try {
+        execFileSync('node', ['src/cli.js', 'load', '-d', ddfDir, 'test', 'broken'], cliOptions)
+      } catch (err) {
+        output = err.stdout.toString()
+      }
+      output.should.match(/failed to load .*ddf--concepts\.csv/)
+      list('test').should.be.an('array').with.lengthOf(nrOfDatasets)
+    })
+    it('Refuse to load a dataset with the name of a route of the service', function () {
+      const testfn = () => execFileSync('node', ['src/cli.js', 'load', '-d', 'test/ddf--testdata/v0', 'metrics'], cliOptions)
+      testfn.should.throw()
+      list('metrics').should.be.an('array').with.lengthOf(0)
+    })
+    it('Drop the created tables when the version cannot be saved', function () {
+      const nrOfDatasets = list('test').length
+      const version = `insertfails${'x'.repeat(40)}` // too long for the datasets table, so the INSERT fails
+      const testfn = () => loadTestData('test', 0, version)
+      testfn.should.throw()
+      list('test').should.be.an('array').with.lengthOf(nrOfDatasets)
+      const output = execFileSync('node', ['src/cli.js', 'gc', '--min-age', '0'], cliOptions).toString()
+      output.should.not.match(/insertfail/)
+    })
     it('Load test dataset and publish it', function () {
       const scriptOutput = loadTestData('test', 0, 'v3', true)
       scriptOutput.toString().should.not.match(/error/i)
@@ -91,6 +126,61 @@ describe('CLI', function () {
       const datasets = list('test')
       datasets.should.be.an('array').that.contains.something.like({ name: 'test', version: 'protected' })
     })
+    it('Load incrementally, sharing the unchanged tables with the previous version', function () {
+      const nrOfDatasets = list('test').length
+      const scriptOutput = execFileSync('node', ['src/cli.js', 'load', '--incremental', '-d', 'test/ddf--testdata/v0', 'test', 'incremental'], cliOptions)
+      scriptOutput.toString().should.not.match(/error/i)
+      scriptOutput.toString().should.match(/Reusing/)
+      list('test').should.be.an('array').that.contains.something.like({ name: 'test', version: 'incremental' })
+      // deleting this version should not drop the tables of the previous version
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'incremental'], cliOptions)
+      list('test').should.have.lengthOf(nrOfDatasets)
+      const gcOutput = execFileSync('node', ['src/cli.js', 'gc', '--min-age', '0'], cliOptions).toString()
+      gcOutput.should.not.match(/is missing tables/)
+    })
+    it('Load from a git repository, but only once for each commit', function () {
+      const nrOfDatasets = list('test').length
+      const repoDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--git-'))
+      execFileSync('cp', ['-r', 'test/ddf--testdata/v0/.', repoDir])
+      const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir })
+      git(['init', '--quiet'])
+      git(['add', '--all'])
+      git(['commit', '--quiet', '-m', 'Test data'])
+      const scriptOutput = execFileSync('node', ['src/cli.js', 'load', '--git', repoDir, 'test'], cliOptions)
+      scriptOutput.toString().should.not.match(/error/i)
+      const gitVersion = list('test').map(ds => ds.version).find(version => /^[0-9]{8}-[0-9a-f]{7,}$/.test(version))
+      gitVersion.should.be.a('string')
+      const testfn = () => execFileSync('node', ['src/cli.js', 'load', '--git', repoDir, '--ref', 'HEAD', 'test'], cliOptions)
+      testfn.should.throw()
+      execFileSync('node', ['src/cli.js', 'delete', 'test', gitVersion], cliOptions)
+      list('test').should.have.lengthOf(nrOfDatasets)
+    })
+    it('Load test dataset from a tar.gz archive', function () {
+      const nrOfDatasets = list('test').length
+      const archive = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--archive-')), 'testdata.tar.gz')
+      Tar.c({ file: archive, gzip: true, sync: true, cwd: 'test/ddf--testdata' }, ['v0'])
+      const scriptOutput = execFileSync('node', ['src/cli.js', 'load', '-d', archive, 'test', 'archive'], cliOptions)
+      scriptOutput.toString().should.not.match(/error/i)
+      list('test').should.be.an('array').that.contains.something.like({ name: 'test', version: 'archive' })
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'archive'], cliOptions)
+      list('test').should.have.lengthOf(nrOfDatasets)
+    })
+    it('Reject archives with entries outside of the archive', function () {
+      const tmpDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--unsafe-'))
+      FS.mkdirSync(Path.join(tmpDir, 'ddf'))
+      FS.copyFileSync('test/ddf--testdata/v0/datapackage.json', Path.join(tmpDir, 'ddf', 'datapackage.json'))
+      FS.writeFileSync(Path.join(tmpDir, 'evil.txt'), 'evil')
+      const archive = Path.join(tmpDir, 'unsafe.tar')
+      Tar.c({ file: archive, sync: true, cwd: Path.join(tmpDir, 'ddf'), preservePaths: true }, ['datapackage.json', '../evil.txt'])
+      let output
+      try {
+        execFileSync('node', ['src/cli.js', 'load', '-d', archive, 'test', 'unsafe'], cliOptions)
+      } catch (err) {
+        output = err.stdout.toString()
+      }
+      output.should.match(/entry \.\.\/evil\.txt would be extracted outside/)
+      list('test').should.be.an('array').that.does.not.contain.something.like({ name: 'test', version: 'unsafe' })
+    })
     it('Load "wide" dataset without errors', function () {
       setEnvVar('DB_MAX_COLUMNS', 10)
       const scriptOutput = loadTestData('test', 'wide', 'wide')
@@ -100,6 +190,62 @@ describe('CLI', function () {
       datasets.should.be.an('array').that.contains.something.like({ name: 'test', version: 'wide' })
     })
   })
+  describe('validate', function () {
+    it('Report inconsistencies with their location', function () {
+      const ddfDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--invalid-'))
+      FS.writeFileSync(Path.join(ddfDir, 'datapackage.json'), JSON.stringify({
+        name: 'invalid',
+        resources: [
+          { name: 'ddf--concepts', path: 'ddf--concepts.csv', schema: { fields: [{ name: 'concept' }, { name: 'concept_type' }, { name: 'domain' }], primaryKey: 'concept' } },
+          { name: 'ddf--entities--geo', path: 'ddf--entities--geo.csv', schema: { fields: [{ name: 'geo' }], primaryKey: 'geo' } },
+          { name: 'ddf--datapoints--pop--by--geo--time', path: 'ddf--datapoints--pop--by--geo--time.csv', schema: { fields: [{ name: 'geo' }, { name: 'time' }, { name: 'pop' }], primaryKey: ['geo', 'time'] } }
+        ],
+        ddfSchema: {
+          concepts: [{ primaryKey: ['concept'], value: 'concept_type', resources: ['ddf--concepts'] }],
+          entities: [{ primaryKey: ['geo'], value: null, resources: ['ddf--entities--geo'] }],
+          datapoints: [{ primaryKey: ['geo', 'time'], value: 'pop', resources: ['ddf--datapoints--pop--by--geo--time', 'ddf--datapoints--undeclared'] }]
+        }
+      }))
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--concepts.csv'), 'concept,concept_type,domain\ngeo,entity_domain,\ncountry,entity_set,time\ntime,time,\n')
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--entities--geo.csv'), 'geo\nnld\nswe\n')
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--datapoints--pop--by--geo--time.csv'), 'geo,time,pop\nnld,2000,1\nxyz,2000,2\nnld,2000,3\n')
+      let output
+      try {
+        execFileSync('node', ['src/cli.js', 'validate', '-d', ddfDir], cliOptions)
+      } catch (err) {
+        output = err.stdout.toString()
+      }
+      const report = JSON.parse(output.slice(output.indexOf('{\n'), output.indexOf('\n}\n') + 2)) // skip the log records
+      report.valid.should.equal(false)
+      report.issues.should.contain.something.like({ check: 'concept-undefined', file: 'datapackage.json' })
+      report.issues.should.contain.something.like({ check: 'resource-missing', file: 'datapackage.json', message: 'Resource ddf--datapoints--undeclared is used in the ddfSchema but is not declared' })
+      report.issues.should.contain.something.like({ check: 'domain-invalid', file: 'ddf--concepts.csv', line: 3 })
+      report.issues.should.contain.something.like({ check: 'entity-unknown', file: 'ddf--datapoints--pop--by--geo--time.csv', line: 3 })
+      report.issues.should.contain.something.like({ check: 'duplicate-key', file: 'ddf--datapoints--pop--by--geo--time.csv', line: 4 })
+    })
+  })
+  describe('export', function () {
+    it('Export a version to a package that can be loaded again', function () {
+      const nrOfDatasets = list('test').length
+      const ddfDir = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--export-')), 'test')
+      execFileSync('node', ['src/cli.js', 'export', 'test', 'v2', ddfDir], cliOptions)
+      const dataPackage = JSON.parse(FS.readFileSync(Path.join(ddfDir, 'datapackage.json')))
+      dataPackage.resources.should.contain.something.like({ name: 'ddf--concepts', path: 'ddf--concepts.csv' })
+      dataPackage.ddfSchema.datapoints.should.be.an('array').with.length.above(0)
+      execFileSync('node', ['src/cli.js', 'validate', '-d', ddfDir], cliOptions)
+      const scriptOutput = execFileSync('node', ['src/cli.js', 'load', '-d', ddfDir, 'test', 'exported'], cliOptions)
+      scriptOutput.toString().should.not.match(/error/i)
+      list('test').should.be.an('array').that.contains.something.like({ name: 'test', version: 'exported' })
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'exported'], cliOptions)
+      list('test').should.have.lengthOf(nrOfDatasets)
+    })
+    it('Refuse to export to a directory that is not empty', function () {
+      const ddfDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--export-'))
+      FS.writeFileSync(Path.join(ddfDir, 'datapackage.json'), '{}')
+      const testfn = () => execFileSync('node', ['src/cli.js', 'export', 'test', 'v2', ddfDir], cliOptions)
+      testfn.should.throw()
+    })
+  })
   describe('make-default', function () {
     it('Set a version to be the default', function () {
       const args = ['src/cli.js', 'make-default', 'test']
@@ -109,6 +255,15 @@ describe('CLI', function () {
       datasets.should.be.an('array').that.contains.something.like({ name: 'test', version: 'v2', default: true })
       datasets.filter(entry => entry.name === 'test' && entry.default).length.should.equal(1)
     })
+    it('Force make-default in maintenance mode', function () {
+      setEnvVar('MAINTENANCE_MODE', 'true')
+      try {
+        execFileSync('node', ['src/cli.js', 'make-default', '--force', 'test', 'v2'], cliOptions)
+      } finally {
+        clearEnvVar('MAINTENANCE_MODE')
+      }
+      list().should.be.an('array').that.contains.something.like({ name: 'test', version: 'v2', default: true })
+    })
     // Tests to actually verify that the service returns the correct data for a default version are in the service suite.
   })
   describe('purge', function () {
@@ -128,7 +283,27 @@ describe('CLI', function () {
       datasets.length.should.equal(5)
     })
   })
+  describe('gc', function () {
+    it('Report no versions with missing tables', function () {
+      const nrDatasetsBefore = list().length
+      const output = execFileSync('node', ['src/cli.js', 'gc', '--min-age', '0'], cliOptions).toString()
+      output.should.not.match(/is missing tables/)
+      output.should.not.match(/error/i)
+      list().should.have.lengthOf(nrDatasetsBefore)
+    })
+  })
   describe('delete', function () {
+    it('Refuse to delete in maintenance mode', function () {
+      const nrDatasetsBefore = list().length
+      setEnvVar('MAINTENANCE_MODE', 'true')
+      const testfn = () => execFileSync('node', ['src/cli.js', 'delete', 'test', 'v2'], cliOptions)
+      try {
+        testfn.should.throw()
+      } finally {
+        clearEnvVar('MAINTENANCE_MODE')
+      }
+      list().should.have.lengthOf(nrDatasetsBefore)
+    })
     it('Delete a specific version', function () {
       const nrDatasetsBefore = list().length
       execFileSync('node', ['src/cli.js', 'delete', 'test', 'v2'], cliOptions)
@@ -1,12 +1,24 @@
 const { execFileSync } = require('child_process')
+const FS = require('fs')
+const HTTP = require('http')
+const OS = require('os')
+const Path = require('path')
 
+const Arrow = require('apache-arrow')
+const Koa = require('koa')
 const moment = require('moment')
+const request = require('supertest')
 const { after, before, describe, it } = require('mocha')
 const chai = require('chai')
 chai.should()
 chai.use(require('chai-like'))
 chai.use(require('chai-things'))
 
+const adminPassword = process.env.ADMIN_PWD = 'test-admin' // to enable the admin API
+const Env = require('../src/env')
+const { AdminRouter } = require('../src/admin')
+const { Dataset } = require('../src/ddf')
+const { LoadJob } = require('../src/jobs')
 const { DB } = require('../src/maria')
 const { DDFService } = require('../src/service')
 const { cliOptions, loadTestData, DDFQueryClient, setEnvVar, clearEnvVar } = require('./utils')
@@ -64,6 +76,214 @@ describe('DDF Service', function () {
           list.should.contain.not.something.like({ name: 'test', default: true })
         })
     })
+    it('conditional request', async function () {
+      const response = await client.get('/')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .expect('Cache-Control', 'no-cache')
+      response.headers.should.have.property('etag')
+      return client.get('/')
+        .set('Accept', 'application/json')
+        .set('If-None-Match', response.headers.etag)
+        .expect(304)
+    })
+  })
+
+  describe('Health checks', function () {
+    it('/healthz', function () {
+      return client.get('/healthz')
+        .expect(200)
+        .then(response => {
+          response.body.should.have.property('status', 'ok')
+          response.body.should.have.property('lag').that.is.a('number')
+        })
+    })
+    it('/readyz', function () {
+      return client.get('/readyz')
+        .expect(200)
+        .then(response => {
+          response.body.should.have.property('status', 'ok')
+          response.body.db.should.include({ reachable: true, datasetsTable: true })
+          response.body.db.should.have.property('taskQueueSize').that.is.a('number')
+        })
+    })
+    it('/status', function () {
+      return client.get('/status')
+        .expect(200)
+        .then(response => {
+          response.body.should.include({ draining: false })
+          response.body.should.have.property('db').that.includes({ reachable: true })
+          response.body.should.have.property('cache').that.has.property('entries')
+        })
+    })
+    it('/metrics', function () {
+      return client.get(`/test/${todaysVersion}?_select_key@=concept;&value@=name;;&from=concepts`)
+        .expect(200)
+        .then(() => client.get('/metrics').expect(200).expect('Content-Type', /^text\/plain/))
+        .then(response => {
+          response.text.should.match(/^bigwaffle_query_duration_seconds_count\{dataset="test",cached="(true|false)"\} \d+$/m)
+          response.text.should.match(/^bigwaffle_query_records_count\{dataset="test"\} \d+$/m)
+          response.text.should.match(/^bigwaffle_db_connections\{state="idle"\} \d+$/m)
+        })
+    })
+    it('/metrics counts errors for datasets that exist', function () {
+      return client.get(`/test/${todaysVersion}?{"from":"concepts"`) // malformed, so it is rejected before the dataset is opened
+        .expect(400)
+        .then(() => client.get(`/not-a-dataset/${todaysVersion}?{"from":"concepts"`).expect(400))
+        .then(() => client.query({ select: { key: ['concept'], value: ['nme'] }, from: 'concepts' }, todaysVersion).expect(400))
+        .then(() => client.get('/metrics').expect(200))
+        .then(response => {
+          response.text.should.match(/^bigwaffle_http_errors_total\{dataset="",status="400",code=""\} \d+$/m)
+          response.text.should.match(/^bigwaffle_http_errors_total\{dataset="test",status="400",code="[A-Z_]*"\} \d+$/m)
+          response.text.should.not.contain('not-a-dataset')
+        })
+    })
+  })
+
+  describe('Admin API', function () {
+    it('requires authentication', function () {
+      return client.get('/admin/datasets')
+        .expect(401)
+        .expect('WWW-Authenticate', /^Basic/)
+    })
+    it('rejects a wrong password', function () {
+      return client.get('/admin/datasets')
+        .auth('admin', 'wrong')
+        .expect(401)
+    })
+    it('lists the versions of a dataset', function () {
+      return client.get('/admin/datasets/test')
+        .auth('admin', adminPassword)
+        .expect(200)
+        .then(response => {
+          response.body.should.be.an('array').that.contains.something.eql({ name: 'test', version: 'v1', default: true })
+          response.body.should.contain.something.eql({ name: 'test', version: todaysVersion })
+        })
+    })
+    it('404 for an unknown dataset', function () {
+      return client.get('/admin/datasets/foo')
+        .auth('admin', adminPassword)
+        .expect(404)
+    })
+    it('makes a version the default', function () {
+      return client.post('/admin/datasets/test/v1/default')
+        .auth('admin', adminPassword)
+        .expect(200)
+        .then(response => {
+          response.body.should.contain.something.eql({ name: 'test', version: 'v1', default: true })
+          response.body.filter(ds => ds.default).should.have.lengthOf(1)
+        })
+    })
+    it('400 when making all versions the default', function () {
+      return client.post('/admin/datasets/test/_ALL_/default')
+        .auth('admin', adminPassword)
+        .expect(400)
+    })
+    it('409 when deleting the latest version while it is the default', function () {
+      return client.delete('/admin/datasets/test/latest')
+        .auth('admin', adminPassword)
+        .expect(409)
+    })
+    it('404 when deleting an unknown version', function () {
+      return client.delete('/admin/datasets/test/v0')
+        .auth('admin', adminPassword)
+        .expect(404)
+    })
+    it('refuses to delete a version in maintenance mode', function () {
+      const app = new Koa()
+      app.use(AdminRouter(() => true).routes())
+      return request(app.callback()).delete('/admin/datasets/test/v1')
+        .auth('admin', adminPassword)
+        .expect(503)
+        .expect('Retry-After', String(Env.MaintenanceRetryAfter))
+        .then(() => client.get('/admin/datasets/test').auth('admin', adminPassword).expect(200))
+        .then(response => {
+          response.body.should.contain.something.eql({ name: 'test', version: 'v1', default: true })
+        })
+    })
+    it('refuses to delete a version while the dataset is being loaded', async function () {
+      const lock = await Dataset.lockForLoading('test')
+      try {
+        await client.delete(`/admin/datasets/test/${todaysVersion}`)
+          .auth('admin', adminPassword)
+          .expect(409)
+        await client.post('/admin/datasets/test/purge')
+          .auth('admin', adminPassword)
+          .expect(409)
+      } finally {
+        await Dataset.unlock(lock)
+      }
+    })
+    it('refuses to load from a directory without a DDF package', function () {
+      return client.post('/admin/datasets/test/load')
+        .auth('admin', adminPassword)
+        .send({ directory: __dirname })
+        .expect(400)
+    })
+    it('refuses to load a "latest" version', function () {
+      return client.post('/admin/datasets/test/load')
+        .auth('admin', adminPassword)
+        .send({ directory: Path.resolve('test/ddf--testdata/v0'), version: 'latest' })
+        .expect(400)
+    })
+    it('refuses to load a dataset with the name of a route of the service', function () {
+      return client.post('/admin/datasets/status/load')
+        .auth('admin', adminPassword)
+        .send({ directory: Path.resolve('test/ddf--testdata/v0') })
+        .expect(400)
+        .then(() => client.get('/status').expect(200).expect(res => res.body.should.have.property('pid')))
+    })
+    it('404 for a dataset name that is not valid', function () {
+      return client.delete(`/admin/datasets/${encodeURIComponent("test' OR '1'='1")}/_ALL_`)
+        .auth('admin', adminPassword)
+        .expect(404)
+    })
+    it('refuses to load a version with a name that is not valid', function () {
+      return client.post('/admin/datasets/test/load')
+        .auth('admin', adminPassword)
+        .send({ directory: Path.resolve('test/ddf--testdata/v0'), version: 'v0; DROP TABLE datasets' })
+        .expect(400)
+    })
+    it('refuses to receive an archive that is too large', async function () {
+      const maxUpload = Env.AdminMaxUpload
+      Env.AdminMaxUpload = 10
+      try {
+        await client.post('/admin/datasets/test/load')
+          .auth('admin', adminPassword)
+          .set('Content-Type', 'application/gzip')
+          .send(Buffer.alloc(100))
+          .expect(413)
+      } finally {
+        Env.AdminMaxUpload = maxUpload
+      }
+    })
+    it('refuses a password in the URL of an upload', function () {
+      return client.post('/admin/datasets/test/load?password=secret')
+        .auth('admin', adminPassword)
+        .set('Content-Type', 'application/gzip')
+        .send(Buffer.alloc(100))
+        .expect(400)
+    })
+    it('marks jobs that were interrupted as failed, and drops their tables', async function () {
+      await LoadJob.recoverInterrupted() // to ensure that there is a table for the jobs
+      const id = 'ffffffffffffffff'
+      await DB.query('CREATE TABLE test_interrupted (id INT);')
+      await DB.query('REPLACE INTO load_jobs (id, name, state, job) VALUES (?, ?, ?, ?);',
+        [id, 'test', 'running', JSON.stringify({ id, name: 'test', state: 'running', tables: ['test_interrupted'] })])
+      const recovered = await LoadJob.recoverInterrupted()
+      recovered.should.be.at.least(1)
+      const response = await client.get(`/admin/jobs/${id}`)
+        .auth('admin', adminPassword)
+        .expect(200)
+      response.body.should.include({ state: 'failed' })
+      const tables = await DB.query('SHOW TABLES LIKE ?;', ['test_interrupted'])
+      tables.should.have.lengthOf(0)
+    })
+    it('404 for an unknown load job', function () {
+      return client.get('/admin/jobs/0000000000000000')
+        .auth('admin', adminPassword)
+        .expect(404)
+    })
   })
 
   describe('Query endpoint', function () {
@@ -113,6 +333,60 @@ describe('DDF Service', function () {
         .set('Accept', 'application/json')
         .expect(400)
     })
+    it('invalid query: unknown concepts', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['populaton'] },
+        from: 'datapoints',
+        where: { latitud: { $lt: 25 } }
+      })
+        .set('Accept', 'application/json')
+        .expect(400)
+        .expect('Content-Type', /json/)
+        .then(response => {
+          response.body.code.should.equal('QL_UNKNOWN_CONCEPTS')
+          response.body.suggestions.should.have.keys(['populaton', 'latitud'])
+          response.body.suggestions.populaton.should.contain('population')
+          response.body.suggestions.latitud.should.contain('latitude')
+        })
+    })
+    it('invalid query: unknown concepts as text', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['populaton'] },
+        from: 'datapoints'
+      })
+        .set('Accept', 'text/plain, application/json;q=0.5')
+        .expect(400)
+        .expect('Content-Type', /text/)
+        .then(response => {
+          response.text.should.contain('populaton')
+        })
+    })
+    it('query with POST', function () {
+      return client.post(`/test/${todaysVersion}`)
+        .send({ select: { key: ['concept'], value: ['name'] }, from: 'concepts' })
+        .set('Accept', 'application/json')
+        .expect(200)
+        .expect('X-DDF-Version', todaysVersion)
+        .expect('Content-Location', new RegExp(`^/test/${todaysVersion}\\?`))
+        .then(response => {
+          response.body.header.should.have.members(['concept', 'name'])
+          response.body.rows.should.contain.one.eql(['bs', 'bs %'])
+        })
+    })
+    it('query with POST without version', function () {
+      return client.post('/test')
+        .send({ select: { key: ['concept'], value: ['name'] }, from: 'concepts' })
+        .set('Accept', 'application/json')
+        .redirects(0)
+        .expect(307)
+        .expect('Location', `/test/${todaysVersion}`)
+    })
+    it('invalid query with POST', function () {
+      return client.post(`/test/${todaysVersion}`)
+        .send({ select: { key: 'concept' }, from: 'concepts' })
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
     it('concepts schema', function () {
       return client.query({
         select: { key: ['key', 'value'], value: [] },
@@ -303,6 +577,63 @@ describe('DDF Service', function () {
           response.body.rows.should.have.lengthOf(3)
         })
     })
+    it('query with $between and $nor', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $between: [2000, 2015] },
+          $nor: [{ city: { $like: 'mariehamn%' } }]
+        }
+      })
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.rows.should.have.lengthOf(1)
+          response.body.rows.should.contain.one.eql(['male', 2000, 34567])
+        })
+    })
+    it('query with $regex and $not', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $not: { $lt: 2000 } },
+          city: { $regex: '^m[a-z]+_' }
+        }
+      })
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.rows.should.contain.one.eql(['mariehamn_ala', 2000, 12345])
+          response.body.rows.should.all.satisfy(row => row[1] >= 2000)
+        })
+    })
+    it('query with quotes in operand', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          city: { $eq: "male' OR '1'='1" }
+        }
+      })
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.rows.should.have.lengthOf(0)
+        })
+    })
+    it('query with unknown operator', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $near: 2000 }
+        }
+      })
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
     it('query for data about roles', function () {
       return client.query({
         select: { key: ['destination', 'gender', 'origin', 'time'], value: ['migrants'] },
@@ -517,6 +848,523 @@ describe('DDF Service', function () {
     })
   })
 
+  describe('Explain', function () {
+    const populationQuery = {
+      select: { key: ['city', 'time'], value: ['population'] },
+      from: 'datapoints',
+      where: {
+        time: { $gte: 2000, $lte: 2015 }
+      }
+    }
+    const explain = (mode, query) => client.get(`/test/${todaysVersion}/${mode}?${encodeURIComponent(JSON.stringify(query))}`)
+
+    it('explain a query', function () {
+      return explain('explain', populationQuery)
+        .expect(200)
+        .expect('Content-Type', /json/)
+        .then(response => {
+          response.body.should.include.keys(['query', 'version', 'table', 'joins', 'sql', 'plan'])
+          response.body.version.should.equal(todaysVersion)
+          response.body.sql.should.match(/^SELECT /)
+          response.body.should.not.have.property('execution')
+        })
+    })
+    it('analyze a query', function () {
+      return explain('analyze', populationQuery)
+        .expect(200)
+        .then(response => {
+          response.body.should.have.property('plan')
+          response.body.execution.records.should.equal(2)
+          response.body.execution.time.should.be.a('number')
+        })
+    })
+    it('explain an invalid query', function () {
+      return explain('explain', { select: { key: ['city', 'time'], value: ['populaton'] }, from: 'datapoints' })
+        .expect(400)
+    })
+  })
+
+  describe('Batch queries', function () {
+    it('batch with results and errors', function () {
+      return client.post(`/test/${todaysVersion}/batch`)
+        .send({
+          concepts: { select: { key: ['concept'], value: ['name'] }, from: 'concepts' },
+          populations: { select: { key: ['city', 'time'], value: ['population'] }, from: 'datapoints', where: { time: { $gte: 2000, $lte: 2015 } } },
+          invalid: { select: { key: ['city', 'time'], value: ['populaton'] }, from: 'datapoints' }
+        })
+        .expect(200)
+        .expect('Content-Type', /json/)
+        .then(response => {
+          response.body.version.should.equal(todaysVersion)
+          response.body.results.should.have.keys(['concepts', 'populations', 'invalid'])
+          response.body.results.concepts.header.should.have.members(['concept', 'name'])
+          response.body.results.populations.rows.should.have.lengthOf(2)
+          response.body.results.invalid.status.should.equal(400)
+          response.body.results.invalid.error.should.contain('populaton')
+        })
+    })
+    it('batch as a list', function () {
+      return client.post(`/test/${todaysVersion}/batch`)
+        .send([
+          { select: { key: ['concept'], value: ['name'] }, from: 'concepts' },
+          { select: { key: 'concept' }, from: 'concepts' }
+        ])
+        .expect(200)
+        .then(response => {
+          response.body.results.should.have.keys(['0', '1'])
+          response.body.results['1'].status.should.equal(400)
+        })
+    })
+    it('empty batch', function () {
+      return client.post(`/test/${todaysVersion}/batch`)
+        .send([])
+        .expect(400)
+    })
+  })
+
+  describe('Response formats', function () {
+    it('CSV through content negotiation', function () {
+      return client.query({
+        select: { key: ['concept'], value: ['name'] },
+        from: 'concepts'
+      })
+        .set('Accept', 'text/csv')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .expect('X-DDF-Version', todaysVersion)
+        .then(response => {
+          const lines = response.text.split('\r\n')
+          lines[0].should.equal('concept,name')
+          lines.should.contain('bs,bs %')
+        })
+    })
+    it('CSV through the format option', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $gte: 2000, $lte: 2015 }
+        },
+        format: 'csv'
+      })
+        .set('Accept', 'application/json')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .then(response => {
+          const lines = response.text.split('\r\n').filter(line => line.length > 0)
+          lines[0].should.equal('city,time,population')
+          lines.should.have.lengthOf(3)
+          lines.should.contain('male,2000,34567')
+        })
+    })
+    it('NDJSON through content negotiation', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $gte: 2000, $lte: 2015 }
+        },
+        order_by: ['year'] // 'year' is not in the select, so there will be a warning
+      })
+        .set('Accept', 'application/x-ndjson')
+        .expect(200)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .then(response => {
+          const lines = response.text.split('\n').filter(line => line.length > 0).map(line => JSON.parse(line))
+          lines.should.have.lengthOf(4)
+          lines[0].should.eql({ version: todaysVersion, header: ['city', 'time', 'population'] })
+          lines.should.contain.one.eql(['male', 2000, 34567])
+          lines[3].should.have.keys(['warn'])
+        })
+    })
+    it('Arrow stream through content negotiation', function () {
+      return client.query({
+        select: { key: ['city', 'time'], value: ['population'] },
+        from: 'datapoints',
+        where: {
+          time: { $gte: 2000, $lte: 2015 }
+        }
+      })
+        .set('Accept', 'application/vnd.apache.arrow.stream')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = []
+          res.on('data', chunk => chunks.push(chunk))
+          res.on('end', () => callback(null, Buffer.concat(chunks)))
+        })
+        .expect(200)
+        .expect('Content-Type', /application\/vnd.apache.arrow.stream/)
+        .then(response => {
+          const table = Arrow.Table.from(response.body)
+          table.count().should.equal(2)
+          table.schema.fields.map(field => field.name).should.eql(['city', 'time', 'population'])
+          table.schema.fields[0].type.should.be.an.instanceof(Arrow.Utf8)
+          table.schema.fields[1].type.should.be.an.instanceof(Arrow.Int32)
+          table.toArray().map(row => row.toJSON()).should.contain.one.eql({ city: 'male', time: 2000, population: 34567 })
+        })
+    })
+    it('unknown format', function () {
+      return client.query({
+        select: { key: ['concept'], value: ['name'] },
+        from: 'concepts',
+        format: 'xml'
+      })
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
+  })
+
+  describe('Aggregation', function () {
+    const populationQuery = {
+      select: { key: ['city', 'gender', 'time'], value: ['population'] },
+      from: 'datapoints'
+    }
+
+    it('sum by entity property', async function () {
+      const all = await client.query(populationQuery)
+        .set('Accept', 'application/json')
+        .expect(200)
+      const response = await client.query(Object.assign({ group_by: { city: 'latitude' }, aggregate: { population: 'sum' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(200)
+      response.body.header.should.have.members(['latitude', 'gender', 'time', 'population'])
+      const total = rows => rows.reduce((sum, row) => sum + row[3], 0)
+      total(response.body.rows).should.equal(total(all.body.rows))
+      response.body.rows.length.should.be.at.most(all.body.rows.length)
+    })
+    it('count by year', function () {
+      return client.query(Object.assign({ group_by: { time: 'year' }, aggregate: { population: 'count' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.header.should.have.members(['city', 'gender', 'year', 'population'])
+          response.body.rows.should.all.satisfy(row => row[3] >= 1)
+        })
+    })
+    it('order by group', function () {
+      return client.query(Object.assign({ group_by: { city: 'latitude' }, aggregate: { population: 'max' }, order_by: [{ latitude: 'desc' }] }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          const latitudes = response.body.rows.map(row => row[0])
+          latitudes.should.eql([...latitudes].sort((a, b) => b - a))
+        })
+    })
+    it('value without aggregate', function () {
+      return client.query(Object.assign({ group_by: { city: 'latitude' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
+    it('group on a finer time unit', function () {
+      return client.query(Object.assign({ group_by: { time: 'quarter' }, aggregate: { population: 'sum' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(400)
+        .then(response => {
+          response.body.should.have.property('code', 'QL_WRONG_GROUP_BY')
+        })
+    })
+    it('group on an incompatible time unit', function () {
+      return client.query(Object.assign({ group_by: { time: 'month' }, aggregate: { population: 'sum' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
+    it('group days on month', function () {
+      // a small package with daily values, as the test data only has years
+      const ddfDir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'ddf--days-'))
+      FS.writeFileSync(Path.join(ddfDir, 'datapackage.json'), JSON.stringify({
+        name: 'days',
+        resources: [
+          { name: 'ddf--concepts', path: 'ddf--concepts.csv', schema: { fields: [{ name: 'concept' }, { name: 'concept_type' }], primaryKey: 'concept' } },
+          { name: 'ddf--entities--geo', path: 'ddf--entities--geo.csv', schema: { fields: [{ name: 'geo' }], primaryKey: 'geo' } },
+          { name: 'ddf--datapoints--visitors--by--geo--day', path: 'ddf--datapoints--visitors--by--geo--day.csv', schema: { fields: [{ name: 'geo' }, { name: 'day' }, { name: 'visitors' }], primaryKey: ['geo', 'day'] } }
+        ],
+        ddfSchema: {
+          concepts: [{ primaryKey: ['concept'], value: 'concept_type', resources: ['ddf--concepts'] }],
+          entities: [{ primaryKey: ['geo'], value: null, resources: ['ddf--entities--geo'] }],
+          datapoints: [{ primaryKey: ['geo', 'day'], value: 'visitors', resources: ['ddf--datapoints--visitors--by--geo--day'] }]
+        }
+      }))
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--concepts.csv'), 'concept,concept_type\ngeo,entity_domain\nday,day\nvisitors,measure\n')
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--entities--geo.csv'), 'geo\nnld\n')
+      FS.writeFileSync(Path.join(ddfDir, 'ddf--datapoints--visitors--by--geo--day.csv'), 'geo,day,visitors\nnld,20190101,1\nnld,20190115,2\nnld,20190201,4\n')
+      execFileSync('node', ['src/cli.js', 'load', '-d', ddfDir, 'days', 'v1'], cliOptions)
+      return DDFQueryClient('days').query({ select: { key: ['geo', 'day'], value: ['visitors'] }, from: 'datapoints', group_by: { day: 'month' }, aggregate: { visitors: 'sum' } }, 'v1')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.rows.map(row => [String(row[1]), row[2]]).should.have.deep.members([['201901', 3], ['201902', 4]])
+        })
+        .finally(() => execFileSync('node', ['src/cli.js', 'delete', 'days', '_ALL_'], cliOptions))
+    })
+    it('unknown group', function () {
+      return client.query(Object.assign({ group_by: { time: 'decade' }, aggregate: { population: 'sum' } }, populationQuery))
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
+  })
+
+  describe('Pagination', function () {
+    const conceptsQuery = {
+      select: { key: ['concept'], value: ['concept_type'] },
+      from: 'concepts',
+      order_by: ['concept']
+    }
+    let allConcepts
+
+    before('Fetch all concepts', function () {
+      return client.query(conceptsQuery)
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          allConcepts = response.body.rows
+        })
+    })
+
+    it('limit and offset', function () {
+      return client.query(Object.assign({ limit: 2, offset: 1 }, conceptsQuery))
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.rows.should.eql(allConcepts.slice(1, 3))
+          response.body.should.have.property('next')
+        })
+    })
+    it('resume with the next cursor', async function () {
+      const rows = []
+      let cursor
+      do {
+        const response = await client.query(Object.assign({ limit: 3, cursor }, conceptsQuery), todaysVersion)
+          .set('Accept', 'application/json')
+          .expect(200)
+        rows.push(...response.body.rows)
+        cursor = response.body.next
+      } while (cursor)
+      rows.should.eql(allConcepts)
+    })
+    it('next cursor in NDJSON', function () {
+      return client.query(Object.assign({ limit: 1 }, conceptsQuery))
+        .set('Accept', 'application/x-ndjson')
+        .expect(200)
+        .then(response => {
+          const lines = response.text.split('\n').filter(line => line.length > 0).map(line => JSON.parse(line))
+          lines.should.have.lengthOf(3)
+          lines[2].should.have.property('next')
+        })
+    })
+    it('cursor for another query', function () {
+      return client.query(Object.assign({ limit: 1 }, conceptsQuery))
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          return client.query({ select: { key: ['concept'], value: ['name'] }, from: 'concepts', limit: 1, cursor: response.body.next })
+            .set('Accept', 'application/json')
+            .expect(400)
+        })
+    })
+    it('cursor for another version', function () {
+      return client.query(Object.assign({ limit: 1 }, conceptsQuery), todaysVersion)
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          return client.query(Object.assign({ limit: 1, cursor: response.body.next }, conceptsQuery), 'v1')
+            .set('Accept', 'application/json')
+            .expect(400)
+        })
+    })
+    it('invalid limit', function () {
+      return client.query(Object.assign({ limit: 0 }, conceptsQuery))
+        .set('Accept', 'application/json')
+        .expect(400)
+    })
+    it('limit for a format without a cursor', async function () {
+      await client.query(Object.assign({ limit: 2 }, conceptsQuery), todaysVersion)
+        .set('Accept', 'text/csv')
+        .expect(400)
+      return client.query(Object.assign({ limit: 2, format: 'arrow' }, conceptsQuery), todaysVersion)
+        .set('Accept', 'application/json')
+        .expect(400)
+        .then(response => {
+          response.text.should.contain('limit')
+        })
+    })
+  })
+
+  describe('Query cancellation', function () {
+    const populationQuery = { // not used in other tests, so the results are not cached
+      select: { key: ['city', 'time'], value: ['population'] },
+      from: 'datapoints',
+      where: { time: { $gte: 1900 } },
+      order_by: [{ population: 'desc' }]
+    }
+
+    async function connectionsReleased () {
+      // wait until no DB connection is in use anymore
+      for (let i = 0; i < 50 && DB.activeConnections() > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      }
+      DB.activeConnections().should.equal(0)
+    }
+
+    it('stops the query when the client aborts the request', async function () {
+      await new Promise(resolve => {
+        const req = HTTP.get(`http://localhost:${Env.HTTPPort}/test/v1?${encodeURIComponent(JSON.stringify(populationQuery))}`)
+        req.on('error', resolve) // the request is aborted
+        req.on('response', response => response.destroy())
+        setTimeout(() => {
+          req.abort()
+          resolve()
+        }, 5)
+      })
+      await connectionsReleased()
+      return client.query(populationQuery, 'v1')
+        .set('Accept', 'application/json')
+        .expect(200)
+    })
+    it('stops a batch when the client aborts the request', async function () {
+      const batch = JSON.stringify([1903, 1904, 1905].map(year => Object.assign({}, populationQuery, { where: { time: { $gte: year } } })))
+      await new Promise(resolve => {
+        const req = HTTP.request(`http://localhost:${Env.HTTPPort}/test/v1/batch`, { method: 'POST', headers: { 'Content-Type': 'application/json' } })
+        req.on('error', resolve) // the request is aborted
+        req.on('response', response => response.destroy())
+        req.end(batch)
+        setTimeout(() => {
+          req.abort()
+          resolve()
+        }, 5)
+      })
+      await connectionsReleased()
+    })
+    it('answers a query that exceeds the time budget with a 504', async function () {
+      const queryTimeout = Env.QueryTimeout
+      Env.QueryTimeout = 0.000001 // seconds
+      let response
+      try {
+        response = await client.query(Object.assign({}, populationQuery, { where: { time: { $gte: 1901 } } }), 'v1')
+          .set('Accept', 'application/json')
+          .expect(504)
+      } finally {
+        Env.QueryTimeout = queryTimeout
+      }
+      response.body.should.include({ code: 'QL_TIMEOUT' })
+    })
+    it('reuses the connections afterwards', async function () {
+      await connectionsReleased()
+      DB.totalConnections().should.be.above(0)
+      return client.query(Object.assign({}, populationQuery, { where: { time: { $gte: 1902 } } }), 'v1')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.body.should.have.property('rows').that.is.an('array')
+        })
+    })
+  })
+
+  describe('Result cache', function () {
+    const conceptsQuery = {
+      select: { key: ['concept'], value: ['concept_type', 'name'] },
+      from: 'concepts'
+    }
+
+    before(function loadCacheTest () {
+      loadTestData('test', 0, 'cachetest')
+    })
+
+    it('repeated query', async function () {
+      const first = await client.query(conceptsQuery, 'cachetest')
+        .set('Accept', 'text/csv')
+        .expect(200)
+      const second = await client.query({ from: 'concepts', select: { value: ['name', 'concept_type'], key: ['concept'] } }, 'cachetest')
+        .set('Accept', 'text/csv')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .expect('X-DDF-Version', 'cachetest')
+      second.text.should.equal(first.text)
+      return client.query(conceptsQuery, 'cachetest')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .expect('Content-Type', /json/)
+    })
+    it('query version that was loaded again', async function () {
+      loadTestData('test', 0, 'reloadtest')
+      const first = await client.query(conceptsQuery, 'reloadtest')
+        .set('Accept', 'application/json')
+        .expect(200)
+      // another process deletes the version and loads other data as the same version
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'reloadtest'], cliOptions)
+      loadTestData('test', 1, 'reloadtest')
+      const second = await client.query(conceptsQuery, 'reloadtest')
+        .set('Accept', 'application/json')
+        .expect(200)
+      second.headers.etag.should.not.equal(first.headers.etag)
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'reloadtest'], cliOptions)
+    })
+    it('query removed version', async function () {
+      await client.query(conceptsQuery, 'cachetest')
+        .set('Accept', 'application/json')
+        .expect(200)
+      execFileSync('node', ['src/cli.js', 'delete', 'test', 'cachetest'], cliOptions)
+      return client.query(conceptsQuery, 'cachetest')
+        .set('Accept', 'application/json')
+        .expect(404)
+    })
+  })
+
+  describe('Conditional requests', function () {
+    const conceptsQuery = {
+      select: { key: ['concept'], value: ['name'] },
+      from: 'concepts'
+    }
+
+    it('query with matching ETag', async function () {
+      const response = await client.query(conceptsQuery, todaysVersion)
+        .set('Accept', 'application/json')
+        .expect(200)
+      response.headers.should.have.property('etag')
+      return client.query(conceptsQuery, todaysVersion)
+        .set('Accept', 'application/json')
+        .set('If-None-Match', response.headers.etag)
+        .expect(304)
+    })
+    it('ETag depends on the format', async function () {
+      const response = await client.query(conceptsQuery, todaysVersion)
+        .set('Accept', 'application/json')
+        .expect(200)
+      return client.query(conceptsQuery, todaysVersion)
+        .set('Accept', 'text/csv')
+        .set('If-None-Match', response.headers.etag)
+        .expect(200)
+    })
+    it('404 instead of 304 for a version that was removed through the service', async function () {
+      loadTestData('test', 0, 'etagtest')
+      const response = await client.query(conceptsQuery, 'etagtest')
+        .set('Accept', 'application/json')
+        .expect(200)
+      await client.delete('/admin/datasets/test/etagtest')
+        .auth('admin', adminPassword)
+        .expect(200)
+      return client.query(conceptsQuery, 'etagtest')
+        .set('Accept', 'application/json')
+        .set('If-None-Match', response.headers.etag)
+        .expect(404)
+    })
+    it('no ETag for an error', function () {
+      return client.query({ select: { key: ['concept'], value: ['nme'] }, from: 'concepts' }, todaysVersion)
+        .set('Accept', 'application/json')
+        .expect(400)
+        .then(response => {
+          response.headers.should.not.have.property('etag')
+        })
+    })
+    it('no ETag for the latest version', function () {
+      return client.query(conceptsQuery, 'latest')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .then(response => {
+          response.headers.should.not.have.property('etag')
+        })
+    })
+  })
+
   describe('Wide tables', function () {
     before(function loadWideTest () {
       setEnvVar('DB_MAX_COLUMNS', 10)